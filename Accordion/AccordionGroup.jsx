@@ -0,0 +1,220 @@
+/**
+ * @author H Robert King <hrobertking@cathmhaol.com>
+ * @class AccordionGroup
+ * @requires react
+ * @requires prop-types
+ * @see {@link https://www.w3.org/TR/wai-aria-practices/#accordion}
+ *
+ * @description Coordinates a set of `Accordion` children. In 'single' mode, expanding an accordion
+ * collapses the others; in 'multiple' mode, any number of accordions can be expanded. When an
+ * accordion header has focus, `ArrowDown` and `ArrowUp` move focus to the next and previous header,
+ * and `Home` and `End` move focus to the first and last header. Each `Accordion` child must have a
+ * unique `id`.
+ *
+ * @param {string[]} [expanded] - the ids of the expanded accordions
+ * @param {string} [id]
+ * @param {string} [mode] - 'single' or 'multiple'; default is 'multiple'
+ * @param {function} [onChange] - ECMAScript function to run when an accordion is expanded or
+ * collapsed. Two arguments are passed into the `onChange` function: the ids of the expanded
+ * accordions and the AccordionGroup instance.
+ *
+ * @example
+ * <AccordionGroup expanded={['faq-shipping']} mode="single" onChange={(ids) => console.log(ids)}>
+ *   <Accordion id="faq-shipping" label="How long does shipping take?">
+ *     <p>Orders ship within two business days.</p>
+ *   </Accordion>
+ *   <Accordion id="faq-returns" label="Can I return an item?">
+ *     <p>Items can be returned within 30 days.</p>
+ *   </Accordion>
+ * </AccordionGroup>
+ */
+
+import React, { Component } from 'react';
+import { PropTypes } from 'prop-types';
+import Accordion from './index';
+
+/**
+ * @private
+ * @description Whether or not two lists of ids contain the same ids in the same order
+ * @returns {boolean}
+ * @param {string[]} [a]
+ * @param {string[]} [b]
+ */
+const same = (a, b) => a === b ||
+  (!!a && !!b && a.length === b.length && a.every((id, i) => id === b[i]));
+
+class AccordionGroup extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      expanded: this.limit(props.expanded || [], props.mode),
+    };
+  }
+
+  /**
+   * @private
+   * @description Runs when props are updated so the expanded accordions can be controlled. The
+   * `expanded` ids are compared by content, so a parent that renders a new array with the same ids
+   * does not reset the accordions the user has expanded.
+   * @returns {undefined}
+   * @param {object} props
+   */
+  componentWillReceiveProps(props) {
+    if (!same(props.expanded, this.props.expanded) || props.mode !== this.props.mode) {
+      this.setState({
+        expanded: this.limit(props.expanded || this.state.expanded, props.mode),
+      });
+    }
+  }
+
+  /**
+   * @property expanded
+   * @description The ids of the expanded accordions
+   * @type {string[]}
+   */
+  get expanded() {
+    return this.state.expanded;
+  }
+
+  /**
+   * @private
+   * @description The accordion headers
+   * @type {HTMLElement[]}
+   */
+  get headers() {
+    if (this.element) {
+      return [].slice.call(this.element.querySelectorAll('.accordion > .header > button'));
+    }
+    return [];
+  }
+
+  /**
+   * @private
+   * @description Restricts the expanded ids to one when the mode is 'single'
+   * @returns {string[]}
+   * @param {string[]} ids
+   * @param {string} mode
+   */
+  limit = (ids, mode) => (mode === 'single' ? ids.slice(-1) : ids.slice());
+
+  /**
+   * @private
+   * @description Updates the expanded ids when an accordion is expanded or collapsed and calls the
+   * `onChange` handler
+   * @returns {undefined}
+   * @param {string} id
+   * @param {boolean} open
+   */
+  onToggle = (id, open) => {
+    const others = this.state.expanded.filter(item => item !== id);
+    const expanded = this.limit(open ? others.concat(id) : others, this.props.mode);
+
+    this.setState({ expanded });
+    if (this.props.onChange) {
+      this.props.onChange(expanded, this);
+    }
+  };
+
+  /**
+   * @private
+   * @description Handles the keydown event on an accordion header
+   * @returns {undefined}
+   * @param {event} e
+   */
+  onKeyDown = (e) => {
+    const headers = this.headers;
+    const i = headers.indexOf(e.target);
+
+    if (i < 0) {
+      return;
+    }
+
+    const lastIndex = headers.length - 1;
+    let ndx;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        ndx = i < lastIndex ? i + 1 : 0;
+        break;
+      case 'ArrowUp':
+        ndx = i > 0 ? i - 1 : lastIndex;
+        break;
+      case 'End':
+        ndx = lastIndex;
+        break;
+      case 'Home':
+        ndx = 0;
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    headers[ndx].focus();
+  };
+
+  /**
+   * @private
+   * @description Sets the DOM reference for event handlers
+   * @returns {undefined}
+   * @param {HTMLElement} node
+   */
+  setRef = (node) => {
+    if (node) {
+      this.element = node;
+    }
+  };
+
+  render() {
+    const {
+      children,
+      className,
+      expanded,
+      mode,
+      onChange,
+      ...rest
+    } = this.props;
+
+    return (
+      <div
+        { ...rest }
+        className={`accordion-group ${className || ''}`.trim()}
+        onKeyDown={this.onKeyDown}
+        ref={this.setRef}
+      >
+        {
+          React.Children.map(children, (child) => {
+            if (!child || child.type !== Accordion) {
+              return child;
+            }
+
+            const {
+              id,
+            } = child.props;
+
+            return React.cloneElement(child, {
+              expanded: this.state.expanded.indexOf(id) > -1,
+              onToggle: (open, accordion) => {
+                this.onToggle(id, open);
+                if (child.props.onToggle) {
+                  child.props.onToggle(open, accordion);
+                }
+              },
+            });
+          })
+        }
+      </div>
+    );
+  }
+}
+AccordionGroup.defaultProps = {
+  mode: 'multiple',
+};
+AccordionGroup.propTypes = {
+  expanded: PropTypes.arrayOf(PropTypes.string),
+  id: PropTypes.string,
+  mode: PropTypes.oneOf(['single', 'multiple']),
+  onChange: PropTypes.func,
+};
+export default AccordionGroup;
@@ -0,0 +1,293 @@
+import { mount } from 'enzyme';
+import React from 'react';
+
+import Accordion from './index';
+import AccordionGroup from './AccordionGroup';
+
+describe('AccordionGroup', () => {
+  let group;
+  let onChange;
+
+  const render = props => mount(
+    <AccordionGroup onChange={onChange} { ...props }>
+      <Accordion id="shipping" label="How long does shipping take?">
+        <p>Orders ship within two business days.</p>
+      </Accordion>
+      <Accordion id="returns" label="Can I return an item?">
+        <p>Items can be returned within 30 days.</p>
+      </Accordion>
+      <Accordion id="gifts" label="Can I send a gift?">
+        <p>Gift wrapping is available at checkout.</p>
+      </Accordion>
+    </AccordionGroup>,
+    { attachTo: document.body.appendChild(document.createElement('div')) }
+  );
+
+  beforeEach(() => {
+    onChange = jest.fn();
+  });
+  afterEach(() => {
+    group.unmount();
+  });
+
+  const button = id => group.find(`button#${id}-label`);
+  const expanded = () => group.find('section.accordion')
+    .filterWhere(section => section.prop('data-expanded'))
+    .map(section => section.prop('id'));
+
+  test('should expand any number of accordions in multiple mode', () => {
+    group = render({ expanded: [] });
+
+    button('shipping').simulate('click');
+    button('gifts').simulate('click');
+    expect(expanded()).toEqual(['shipping', 'gifts']);
+    expect(onChange).toHaveBeenLastCalledWith(['shipping', 'gifts'], group.instance());
+
+    button('shipping').simulate('click');
+    expect(expanded()).toEqual(['gifts']);
+  });
+  test('should collapse the other accordions in single mode', () => {
+    group = render({ expanded: ['shipping', 'returns'], mode: 'single' });
+    expect(expanded()).toEqual(['returns']);
+
+    button('gifts').simulate('click');
+    expect(expanded()).toEqual(['gifts']);
+    expect(onChange).toHaveBeenLastCalledWith(['gifts'], group.instance());
+  });
+  test('should keep the expanded accordions when the expanded ids are the same', () => {
+    group = render({ expanded: ['shipping'] });
+
+    button('returns').simulate('click');
+    group.setProps({ expanded: ['shipping'] });
+    expect(expanded()).toEqual(['shipping', 'returns']);
+
+    group.setProps({ expanded: ['gifts'] });
+    expect(expanded()).toEqual(['gifts']);
+  });
+  test('should move focus between the headers with the arrow keys, Home and End', () => {
+    group = render();
+    const focused = () => document.activeElement.id;
+
+    document.getElementById('shipping-label').focus();
+    button('shipping').simulate('keydown', { key: 'ArrowDown' });
+    expect(focused()).toBe('returns-label');
+    button('returns').simulate('keydown', { key: 'End' });
+    expect(focused()).toBe('gifts-label');
+    button('gifts').simulate('keydown', { key: 'ArrowDown' });
+    expect(focused()).toBe('shipping-label');
+    button('shipping').simulate('keydown', { key: 'ArrowUp' });
+    expect(focused()).toBe('gifts-label');
+    button('gifts').simulate('keydown', { key: 'Home' });
+    expect(focused()).toBe('shipping-label');
+  });
+});
+
+describe('Accordion location', () => {
+  let accordion;
+
+  const render = props => mount(
+    <Accordion expanded={false} id="returns" label="Can I return an item?" { ...props }>
+      <p>Items can be returned within 30 days.</p>
+    </Accordion>,
+    { attachTo: document.body.appendChild(document.createElement('div')) }
+  );
+  const expanded = () => {
+    accordion.update();
+    return accordion.find('button#returns-label').prop('aria-expanded');
+  };
+
+  afterEach(() => {
+    accordion.unmount();
+    jest.restoreAllMocks();
+    window.history.replaceState(null, '', '/');
+  });
+
+  test('should expand when the location hash matches its id', () => {
+    window.history.replaceState(null, '', '#returns');
+    accordion = render();
+    expect(expanded()).toBe(true);
+  });
+  test('should expand when the location hash changes to its id', () => {
+    accordion = render();
+    expect(expanded()).toBe(false);
+
+    window.history.replaceState(null, '', '#shipping');
+    window.dispatchEvent(new HashChangeEvent('hashchange'));
+    expect(expanded()).toBe(false);
+
+    window.history.replaceState(null, '', '#returns');
+    window.dispatchEvent(new HashChangeEvent('hashchange'));
+    expect(expanded()).toBe(true);
+  });
+  test('should hide collapsed content until found and expand on beforematch', () => {
+    accordion = render();
+    const region = document.getElementById('returns-content');
+    expect(region.getAttribute('hidden')).toBe('until-found');
+
+    region.dispatchEvent(new Event('beforematch'));
+    expect(expanded()).toBe(true);
+    expect(region.hasAttribute('hidden')).toBe(false);
+  });
+  test('should replace the location hash when updateHash is set', () => {
+    jest.spyOn(window.history, 'replaceState');
+    accordion = render({ updateHash: true });
+
+    accordion.find('button#returns-label').simulate('click');
+    expect(window.history.replaceState).toHaveBeenLastCalledWith(null, '', '#returns');
+    expect(window.location.hash).toBe('#returns');
+
+    accordion.find('button#returns-label').simulate('click');
+    expect(window.history.replaceState).toHaveBeenLastCalledWith(null, '', '/');
+    expect(window.location.hash).toBe('');
+  });
+});
+
+describe('Accordion', () => {
+  let accordion;
+  let onToggle;
+
+  const render = props => mount(
+    <Accordion id="rhetoric" label="Political Rhetoric" onToggle={onToggle} { ...props }>
+      <p id="quote">Now is the time for all good men to come to the aid of their country.</p>
+    </Accordion>,
+    { attachTo: document.body.appendChild(document.createElement('div')) }
+  );
+  const button = () => accordion.find('button#rhetoric-label');
+
+  beforeEach(() => {
+    onToggle = jest.fn();
+  });
+  afterEach(() => {
+    accordion.unmount();
+  });
+
+  test('should render the header as a button in a heading', () => {
+    accordion = render();
+
+    expect(accordion.find('h3.header > button').length).toBe(1);
+    expect(button().prop('type')).toBe('button');
+    expect(button().prop('aria-controls')).toBe('rhetoric-content');
+    expect(button().prop('aria-expanded')).toBe(true);
+    expect(accordion.find('#rhetoric-content').prop('aria-labelledby')).toBe('rhetoric-label');
+  });
+  test('should use the heading level and keep it between 1 and 6', () => {
+    accordion = render({ level: 2 });
+    expect(accordion.find('h2.header').length).toBe(1);
+
+    accordion.setProps({ level: 9 });
+    expect(accordion.find('h6.header').length).toBe(1);
+  });
+  test('should toggle on a click when it is not controlled', () => {
+    accordion = render({ onToggle: undefined });
+
+    button().simulate('click');
+    expect(button().prop('aria-expanded')).toBe(false);
+    button().simulate('click');
+    expect(button().prop('aria-expanded')).toBe(true);
+  });
+  test('should expand or collapse to the state passed to toggle', () => {
+    accordion = render({ onToggle: undefined });
+
+    accordion.instance().toggle(true);
+    accordion.update();
+    expect(button().prop('aria-expanded')).toBe(true);
+
+    accordion.instance().toggle(false);
+    accordion.instance().toggle(false);
+    accordion.update();
+    expect(button().prop('aria-expanded')).toBe(false);
+  });
+  test('should only change with the expanded prop when it is controlled', () => {
+    accordion = render({ expanded: false });
+
+    button().simulate('click');
+    expect(onToggle).toHaveBeenCalledWith(true, accordion.instance());
+    expect(button().prop('aria-expanded')).toBe(false);
+
+    accordion.setProps({ expanded: true });
+    expect(button().prop('aria-expanded')).toBe(true);
+  });
+});
+
+describe('Accordion content', () => {
+  let accordion;
+
+  const render = props => mount(
+    <Accordion expanded={false} id="sales" label="Quarterly Sales" { ...props }>
+      <p id="chart">Sales chart</p>
+    </Accordion>,
+    { attachTo: document.body.appendChild(document.createElement('div')) }
+  );
+  const chart = () => {
+    accordion.update();
+    return accordion.find('p#chart').length;
+  };
+  const toggle = () => accordion.find('button#sales-label').simulate('click');
+
+  afterEach(() => {
+    /* some tests unmount the accordion themselves */
+    if (accordion.length) {
+      accordion.unmount();
+    }
+    jest.restoreAllMocks();
+  });
+
+  test('should render collapsed content unless it is lazy', () => {
+    accordion = render();
+    expect(chart()).toBe(1);
+  });
+  test('should mount lazy content when it is first expanded and keep it', () => {
+    accordion = render({ lazy: true });
+    expect(chart()).toBe(0);
+
+    toggle();
+    expect(chart()).toBe(1);
+    toggle();
+    expect(chart()).toBe(1);
+  });
+  test('should unmount the content when it collapses if unmountOnCollapse is set', () => {
+    accordion = render({ lazy: true, unmountOnCollapse: true });
+
+    toggle();
+    expect(chart()).toBe(1);
+    toggle();
+    expect(chart()).toBe(0);
+  });
+  test('should transition the height and clean up when the transition ends', () => {
+    jest.spyOn(window, 'getComputedStyle').mockReturnValue({ transitionDuration: '0.2s' });
+    accordion = render({ animate: true, expanded: true, unmountOnCollapse: true });
+    const region = document.getElementById('sales-content');
+    jest.spyOn(region, 'removeEventListener');
+
+    toggle();
+    expect(region.style.height).toBe('0px');
+    expect(chart()).toBe(1);
+
+    /* the end of a transition in the content does not end the transition of the region */
+    document.getElementById('chart').dispatchEvent(new Event('transitionend', { bubbles: true }));
+    expect(region.style.height).toBe('0px');
+
+    region.dispatchEvent(new Event('transitionend'));
+    expect(region.style.height).toBe('');
+    expect(region.getAttribute('hidden')).toBe('until-found');
+    expect(chart()).toBe(0);
+    expect(region.removeEventListener).toHaveBeenCalledWith('transitionend', expect.any(Function));
+  });
+  test('should remove the transition handler when it is interrupted or unmounted', () => {
+    jest.spyOn(window, 'getComputedStyle').mockReturnValue({ transitionDuration: '0.2s' });
+    accordion = render({ animate: true, expanded: true });
+    const region = document.getElementById('sales-content');
+    jest.spyOn(region, 'addEventListener');
+    jest.spyOn(region, 'removeEventListener');
+    const handlers = () => region.addEventListener.mock.calls
+      .filter(([type]) => type === 'transitionend')
+      .map(([, handler]) => handler);
+
+    toggle();
+    toggle();
+    expect(region.removeEventListener).toHaveBeenCalledWith('transitionend', handlers()[0]);
+
+    accordion.unmount();
+    expect(region.removeEventListener).toHaveBeenCalledWith('transitionend', handlers()[1]);
+  });
+});
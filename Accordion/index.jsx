@@ -2,11 +2,29 @@
  * @author H Robert King <hrobertking@cathmhaol.com>
  * @class Accordion
  *
- * @description An 'accordion' object that expands/collapses when the header is clicked.
+ * @description An 'accordion' object that expands/collapses when the header is activated. The
+ * header is a button inside a heading, so it can be operated using a keyboard. When both
+ * `expanded` and `onToggle` are provided, the accordion is controlled and only changes when the
+ * `expanded` prop changes. The accordion expands and scrolls into view when the location hash
+ * matches its `id`, and collapsed content is hidden using `hidden="until-found"` so find-in-page
+ * can reveal it. Content that is not mounted, i.e., `lazy` content before the accordion is first
+ * expanded and content removed by `unmountOnCollapse`, cannot be found.
  *
- * @param {boolean} [expanded] - whether or not the content is expanded by default
+ * @param {boolean} [animate] - whether or not the height of the content is animated when it expands
+ * or collapses; the animation is skipped when the user prefers reduced motion
+ * @param {boolean} [expanded] - whether or not the content is expanded; default is true
  * @param {string} [id] - the identifier of the object
  * @param {string} label - the header to use when displaying the accordion
+ * @param {boolean} [lazy] - whether or not mounting the content is deferred until the accordion is
+ * first expanded; content that is not mounted cannot be found using find-in-page
+ * @param {number} [level] - the level of the heading that contains the header, 1 to 6; default is 3
+ * @param {function} [onToggle] - ECMAScript function to run when the accordion is expanded or
+ * collapsed. Two arguments are passed into the `onToggle` function: whether or not the accordion
+ * is expanded and the Accordion instance.
+ * @param {boolean} [unmountOnCollapse] - whether or not the content is unmounted when the accordion
+ * is collapsed
+ * @param {boolean} [updateHash] - whether or not the location hash is set to the `id` when the
+ * accordion is expanded
  *
  * @example
  * <Accordion label="Political Rhetoric">
@@ -27,35 +45,327 @@ class Accordion extends Component {
   constructor(props) {
     super(props);
 
+    const expanded = typeof props.expanded === 'undefined' ? true : !!props.expanded;
+
     this.state = {
-      expanded: !!props.expanded,
+      expanded,
+      mounted: !props.lazy || expanded,
     };
   }
 
+  componentDidMount() {
+    this.wasExpanded = this.expanded;
+    this.conceal();
+
+    if (this.region) {
+      this.region.addEventListener('beforematch', this.onBeforeMatch);
+    }
+    window.addEventListener('hashchange', this.onHashChange);
+    this.onHashChange();
+  }
+
+  /**
+   * @private
+   * @description Mounts the content when the accordion is expanded and animates the change in height
+   * @returns {undefined}
+   */
+  componentDidUpdate() {
+    const expanded = this.expanded;
+
+    if (expanded !== this.wasExpanded) {
+      this.wasExpanded = expanded;
+
+      if (expanded && !this.state.mounted) {
+        this.setState({ mounted: true });
+      }
+
+      if (expanded) {
+        this.conceal();
+      }
+
+      this.animate(expanded, () => {
+        if (!this.expanded) {
+          this.conceal();
+          if (this.props.unmountOnCollapse) {
+            this.setState({ mounted: false });
+          }
+        }
+      });
+    }
+  }
+
+  componentWillUnmount() {
+    if (this.region) {
+      this.region.removeEventListener('beforematch', this.onBeforeMatch);
+      if (this.onTransitionEnd) {
+        this.region.removeEventListener('transitionend', this.onTransitionEnd);
+      }
+    }
+    window.removeEventListener('hashchange', this.onHashChange);
+  }
+
+  /**
+   * @private
+   * @description Runs when props are updated so the expanded state can be set by a parent
+   * @returns {undefined}
+   * @param {object} props
+   */
+  componentWillReceiveProps(props) {
+    if (props.expanded !== this.props.expanded && typeof props.expanded !== 'undefined') {
+      this.setState({ expanded: !!props.expanded });
+    }
+  }
+
+  /**
+   * @private
+   * @description Whether or not the expanded state is controlled by the `expanded` and `onToggle`
+   * props
+   * @type {boolean}
+   */
+  get controlled() {
+    return typeof this.props.expanded !== 'undefined' && !!this.props.onToggle;
+  }
+
+  /**
+   * @property expanded
+   * @description Whether or not the content is expanded
+   * @type {boolean}
+   */
+  get expanded() {
+    return this.controlled ? !!this.props.expanded : this.state.expanded;
+  }
+
+  /**
+   * @private
+   * @description Whether or not the user prefers reduced motion
+   * @type {boolean}
+   */
+  get reducedMotion() { // eslint-disable-line class-methods-use-this
+    return !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+  }
+
+  /**
+   * @private
+   * @description Transitions the height of the content from its current height to its expanded
+   * or collapsed height, then runs the callback. The callback runs immediately when the accordion
+   * is not animated, the user prefers reduced motion, or there is no transition to wait for.
+   * @returns {undefined}
+   * @param {boolean} open
+   * @param {function} done
+   */
+  animate = (open, done) => {
+    const region = this.region;
+
+    if (region && this.onTransitionEnd) {
+      region.removeEventListener('transitionend', this.onTransitionEnd);
+      this.onTransitionEnd = null;
+    }
+
+    if (!this.props.animate || !region || this.reducedMotion ||
+        parseFloat(window.getComputedStyle(region).transitionDuration || 0) === 0) {
+      done();
+      return;
+    }
+
+    const height = `${region.scrollHeight}px`;
+
+    this.onTransitionEnd = (e) => {
+      if (e.target === region) {
+        region.removeEventListener('transitionend', this.onTransitionEnd);
+        this.onTransitionEnd = null;
+        region.style.height = '';
+        done();
+      }
+    };
+    region.addEventListener('transitionend', this.onTransitionEnd);
+
+    /* start from the current height and force a reflow so the change is transitioned */
+    region.style.height = open ? '0px' : height;
+    region.getBoundingClientRect();
+    region.style.height = open ? height : '0px';
+  };
+
+  /**
+   * @private
+   * @description Hides collapsed content using `hidden="until-found"` so find-in-page can reveal it.
+   * The attribute is set on the DOM node because React renders `hidden` as a boolean.
+   * @returns {undefined}
+   */
+  conceal = () => {
+    if (this.region) {
+      if (this.expanded) {
+        this.region.removeAttribute('hidden');
+      } else {
+        this.region.setAttribute('hidden', 'until-found');
+      }
+    }
+  };
+
+  /**
+   * @method focus
+   * @description Sets focus on the header button
+   * @returns {undefined}
+   */
+  focus = () => {
+    if (this.button) {
+      this.button.focus();
+    }
+  };
+
+  /**
+   * @method toggle
+   * @description Expands the content if `open` is true, collapses it if `open` is false, and
+   * otherwise toggles the expanded state. When the accordion is controlled, the `onToggle`
+   * handler is responsible for updating the `expanded` prop.
+   * @returns {undefined}
+   * @param {boolean} [open]
+   */
   toggle = (open) => {
-    const expanded = !this.state.expanded;
-    this.setState({ expanded });
+    const expanded = typeof open === 'boolean' ? open : !this.expanded;
+    if (!this.controlled) {
+      this.setState({ expanded });
+    }
+    if (this.props.updateHash) {
+      this.updateHash(expanded);
+    }
+    if (this.props.onToggle) {
+      this.props.onToggle(expanded, this);
+    }
+  };
+
+  /**
+   * @private
+   * @description Sets the location hash to the id of the accordion when it is expanded and clears
+   * it when it is collapsed. The history entry is replaced so the page does not jump.
+   * @returns {undefined}
+   * @param {boolean} expanded
+   */
+  updateHash = (expanded) => {
+    const hash = `#${this.props.id}`;
+    const {
+      location,
+    } = window;
+
+    if (expanded && location.hash !== hash) {
+      window.history.replaceState(null, '', hash);
+    } else if (!expanded && location.hash === hash) {
+      window.history.replaceState(null, '', `${location.pathname}${location.search}`);
+    }
+  };
+
+  /**
+   * @private
+   * @description Expands the accordion when find-in-page matches text in the collapsed content
+   * @returns {undefined}
+   */
+  onBeforeMatch = () => {
+    if (!this.expanded) {
+      this.toggle(true);
+    }
+  };
+
+  /**
+   * @private
+   * @description Expands the accordion and scrolls it into view when the location hash matches
+   * the id of the accordion
+   * @returns {undefined}
+   */
+  onHashChange = () => {
+    if (window.location.hash === `#${this.props.id}`) {
+      if (!this.expanded) {
+        this.toggle(true);
+      }
+      if (this.button && this.button.scrollIntoView) {
+        this.button.scrollIntoView();
+      }
+    }
+  };
+
+  /**
+   * @private
+   * @description Click handler for the header button
+   * @returns {undefined}
+   */
+  onClick = () => {
+    this.toggle();
+  };
+
+  /**
+   * @private
+   * @description Sets a reference to the header button
+   * @returns {undefined}
+   * @param {HTMLElement} node
+   */
+  setRef = (node) => {
+    if (node) {
+      this.button = node;
+    }
+  };
+
+  /**
+   * @private
+   * @description Sets a reference to the content region
+   * @returns {undefined}
+   * @param {HTMLElement} node
+   */
+  setRegionRef = (node) => {
+    if (node) {
+      this.region = node;
+    }
   };
 
   render() {
-    return this.label && (
-      <section className="accordion" aria-expanded={this.state.expanded}>
-        <header id={`${this.id}-label`} onClick={this.toggle}>{this.label}</header>
-        <div aria-labelledby={`${this.id}-label`} role="region">
-          {this.props.children}
+    const {
+      animate,
+      id,
+      label,
+      level,
+    } = this.props;
+
+    const expanded = this.expanded;
+    const Heading = `h${Math.min(Math.max(Number(level) || 3, 1), 6)}`;
+    const className = `accordion ${animate ? 'animate' : ''}`.trim();
+
+    return label && (
+      <section className={className} data-expanded={expanded} id={id}>
+        <Heading className="header">
+          <button
+            aria-controls={`${id}-content`}
+            aria-expanded={expanded}
+            id={`${id}-label`}
+            onClick={this.onClick}
+            ref={this.setRef}
+            type="button"
+          >
+            {label}
+          </button>
+        </Heading>
+        <div
+          aria-labelledby={`${id}-label`}
+          id={`${id}-content`}
+          ref={this.setRegionRef}
+          role="region"
+        >
+          {(expanded || this.state.mounted) && this.props.children}
         </div>
       </section>
     );
   }
 }
 Accordion.defaultProps = {
-  expanded: true,
   id: `accordion-${(new Date()).getTime()}`,
   label: '',
+  level: 3,
 };
 Accordion.propTypes = {
+  animate: PropTypes.bool,
   expanded: PropTypes.bool,
   id: PropTypes.string.isRequired,
   label: PropTypes.string.isRequired,
+  lazy: PropTypes.bool,
+  level: PropTypes.number,
+  onToggle: PropTypes.func,
+  unmountOnCollapse: PropTypes.bool,
+  updateHash: PropTypes.bool,
 };
 export default Accordion;
@@ -0,0 +1,89 @@
+import { mount } from 'enzyme';
+import React from 'react';
+
+import Breadcrumbs from './index';
+
+describe('Breadcrumbs', () => {
+  const labels = breadcrumbs => breadcrumbs.find('ol > li:not([hidden])').map(crumb => crumb.text());
+
+  test('should render the children as crumbs', () => {
+    const breadcrumbs = mount(
+      <Breadcrumbs aria-label="Breadcrumbs" index={2}>
+        <a href="/">Home</a>
+        <a href="/libraries/">Libraries</a>
+        <li><a href="/libraries/js/">JavaScript</a></li>
+      </Breadcrumbs>
+    );
+
+    expect(labels(breadcrumbs)).toEqual(['Home', 'Libraries', 'JavaScript']);
+    expect(breadcrumbs.find('li[data-index=2]').prop('aria-current')).toBe('page');
+    expect(breadcrumbs.find('li[data-index=3]').prop('aria-current')).toBeNull();
+    breadcrumbs.unmount();
+  });
+  test('should derive the crumbs from a path', () => {
+    const breadcrumbs = mount(
+      <Breadcrumbs path="/libraries/js-tools/?q=1" routes={{ libraries: 'Libraries' }} />
+    );
+
+    expect(labels(breadcrumbs)).toEqual(['Home', 'Libraries', 'js tools']);
+    expect(breadcrumbs.find('li[data-index=2] a').prop('href')).toBe('/libraries/');
+    expect(breadcrumbs.find('li[data-index=3]').prop('aria-current')).toBe('page');
+    breadcrumbs.unmount();
+  });
+  test('should use a segment that cannot be decoded as it is', () => {
+    const breadcrumbs = mount(<Breadcrumbs path="/sale/50%-off/" />);
+
+    expect(labels(breadcrumbs)).toEqual(['Home', 'sale', '50% off']);
+    breadcrumbs.unmount();
+  });
+  test('should derive the crumbs from a list of items', () => {
+    const breadcrumbs = mount(
+      <Breadcrumbs
+        path={[
+          { href: '/', label: 'Home' },
+          { label: 'Libraries' },
+        ]}
+      />
+    );
+
+    expect(labels(breadcrumbs)).toEqual(['Home', 'Libraries']);
+    expect(breadcrumbs.find('li[data-index=2] a').length).toBe(0);
+    breadcrumbs.unmount();
+  });
+  test('should collapse the crumbs between the first and the last', () => {
+    const breadcrumbs = mount(<Breadcrumbs id="trail" maxItems={4} path="/a/b/c/d/e/" />);
+
+    expect(breadcrumbs.find('li[data-index]').map(crumb => crumb.text())).toEqual(['Home', 'e']);
+    expect(breadcrumbs.find('li.collapsed button#trail-collapsed-controller').text()).toBe('…');
+    expect(breadcrumbs.find('li.collapsed li.menuitem').map(item => item.text()))
+      .toEqual(['a', 'b', 'c', 'd']);
+    breadcrumbs.unmount();
+  });
+  test('should describe the crumbs in JSON-LD', () => {
+    const breadcrumbs = mount(
+      <Breadcrumbs
+        baseUrl="https://example.com/"
+        path={[
+          { href: '/', label: 'Home' },
+          { href: '/libraries/', label: 'Libraries' },
+          { href: 'https://example.org/js/', label: '</script>' },
+        ]}
+        structuredData="json-ld"
+      />
+    );
+    const script = breadcrumbs.find('script[type="application/ld+json"]');
+    const html = script.prop('dangerouslySetInnerHTML').__html;
+
+    expect(html).not.toMatch(/</);
+    expect(JSON.parse(html)).toEqual({
+      '@context': 'https://schema.org',
+      '@type': 'BreadcrumbList',
+      itemListElement: [
+        { '@type': 'ListItem', item: 'https://example.com/', name: 'Home', position: 1 },
+        { '@type': 'ListItem', item: 'https://example.com/libraries/', name: 'Libraries', position: 2 },
+        { '@type': 'ListItem', item: 'https://example.org/js/', name: '</script>', position: 3 },
+      ],
+    });
+    breadcrumbs.unmount();
+  });
+});
@@ -4,9 +4,31 @@
  * @requires react
  * @requires prop-types
  *
- * @description Renders a group inside a container with the 'breadcrumbs' class.
+ * @description Renders a group inside a container with the 'breadcrumbs' class. The crumbs are
+ * the children or, when a `path` is provided, are derived from the `path`. A `path` string, e.g.,
+ * '/libraries/js/', is split into a crumb for each segment, labelled using the `routes`, and the
+ * last crumb is the current page. The crumbs are derived each time the component renders, so they
+ * follow the location when the `path` changes. When there are more crumbs than `maxItems`, the
+ * crumbs between the first `itemsBeforeCollapse` and the last `itemsAfterCollapse` are collapsed
+ * into a `SubMenu`. When `structuredData` is provided, the crumbs are also described as a
+ * schema.org `BreadcrumbList`, using either JSON-LD or microdata.
  *
- * @param {number} index - the index of the active item.
+ * @param {string} [baseUrl] - the URL used to resolve the relative hrefs in the structured data
+ * @param {string} [collapsedLabel] - the label of the button that shows the collapsed crumbs;
+ * default is '…'
+ * @param {string} [id]
+ * @param {number} [index] - the index of the active item, starting at 1; when a `path` is
+ * provided, the default is the last item.
+ * @param {number} [itemsAfterCollapse] - the number of crumbs shown after the collapsed crumbs;
+ * default is 1
+ * @param {number} [itemsBeforeCollapse] - the number of crumbs shown before the collapsed crumbs;
+ * default is 1
+ * @param {number} [maxItems] - the maximum number of crumbs shown before the crumbs are collapsed
+ * @param {string|object[]} [path] - a URL path or an array of objects with `label` and `href`
+ * @param {string} [structuredData] - 'json-ld' or 'microdata'
+ * @param {object} [routes] - the labels of the crumbs derived from a `path` string, keyed by the
+ * href, e.g., '/libraries/js/', or by the segment, e.g., 'js'. The root is labelled 'Home' and
+ * segments without a label are shown with the dashes and underscores replaced by spaces.
  *
  * @example
  * <Breadcrumbs aria-label="Breadcrumbs" id="trail" index={2}>
@@ -14,64 +36,363 @@
  *   <a href="/libraries/">Libraries</a>
  *   <a href="/libraries/js/">JavaScript</a>
  * </Breadcrumbs>
+ *
+ * @example
+ * <Breadcrumbs
+ *   aria-label="Breadcrumbs"
+ *   id="trail"
+ *   path={window.location.pathname}
+ *   routes={{ '/': 'Home', libraries: 'Libraries', js: 'JavaScript' }}
+ * />
+ *
+ * @example
+ * <Breadcrumbs
+ *   aria-label="Breadcrumbs"
+ *   id="trail"
+ *   path={[
+ *     { href: '/', label: 'Home' },
+ *     { href: '/libraries/', label: 'Libraries' },
+ *     { href: '/libraries/js/', label: 'JavaScript' },
+ *   ]}
+ * />
+ *
+ * @example
+ * <Breadcrumbs aria-label="Breadcrumbs" id="trail" maxItems={4} path="/a/b/c/d/e/f/" />
+ *
+ * @example
+ * <Breadcrumbs
+ *   aria-label="Breadcrumbs"
+ *   baseUrl="https://example.com"
+ *   id="trail"
+ *   path="/libraries/js/"
+ *   structuredData="json-ld"
+ * />
  */
 
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
+import { MenuItem, SubMenu } from '../Menu';
+import text from '../utils/text';
 import './style.css';
 
+/**
+ * @private
+ * @description Returns the first href in a React node
+ * @returns {string|undefined}
+ * @param {*} node
+ */
+const link = (node) => {
+  if (Array.isArray(node)) {
+    return node.map(link).filter(href => href)[0];
+  }
+  if (!node || !node.props) {
+    return undefined;
+  }
+  return node.props.href || link(node.props.children);
+};
+
+/**
+ * @private
+ * @description Returns the label of a path segment, i.e., the decoded segment with the dashes and
+ * underscores replaced by spaces. A segment that cannot be decoded, e.g., '50%-off', is used as it
+ * is.
+ * @returns {string}
+ * @param {string} segment
+ */
+const humanize = (segment) => {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(segment);
+  } catch (e) {
+    decoded = segment;
+  }
+  return decoded.replace(/[-_]+/g, ' ');
+};
+
+/**
+ * @private
+ * @description The schema.org types used in the structured data
+ * @type {object}
+ */
+const SCHEMA = {
+  list: 'https://schema.org/BreadcrumbList',
+  item: 'https://schema.org/ListItem',
+};
+
 class Breadcrumbs extends Component {
-  constructor(props) {
-    super(props);
+  /**
+   * @property crumbs
+   * @description The crumbs, each with the `content` rendered, the `href`, and the `label`
+   * @type {object[]}
+   */
+  get crumbs() {
+    const {
+      children,
+      path,
+      routes,
+    } = this.props;
 
-    /* default the index to the last child */
-    const index = Number(props.index) || 0;
+    if (Array.isArray(path)) {
+      return path.map(({ href, label }) => ({
+        content: href ? <a href={href}>{label}</a> : label,
+        href,
+        label,
+      }));
+    }
 
-    let step = 1;
+    if (typeof path === 'string') {
+      const pathname = path.replace(/[?#].*$/, '');
+      const trailing = /.\/$/.test(pathname) ? '/' : '';
+      const segments = pathname.split('/').filter(segment => segment);
 
-    this.steps = React.Children.map(props.children, (child) => {
-      const { props, type } = child;
+      return [''].concat(segments).map((segment, i) => {
+        const href = i ? `/${segments.slice(0, i).join('/')}${trailing}` : '/';
+        const label = routes[href] ||
+          routes[segment || '/'] ||
+          (segment ? humanize(segment) : 'Home');
 
-      const ariaCurrent = (index === step) ? 'page' : null;
+        return {
+          content: <a href={href}>{label}</a>,
+          href,
+          label,
+        };
+      });
+    }
 
-      step += 1;
+    return React.Children.toArray(children).map(child => ({
+      child,
+      content: child,
+      href: link(child),
+      label: text(child),
+    }));
+  }
 
-      /* if this is a list item, return it, otherwise, return a list item */
-      if (typeof type !== 'function' && type === 'li') {
-        return React.cloneElement(child, {
-          'aria-current': ariaCurrent,
-          'data-index': step,
-        });
-      }
+  /**
+   * @private
+   * @description Returns the list item for a crumb
+   * @returns {object} jsx
+   * @param {object} crumb
+   * @param {number} step - the index of the crumb, starting at 1
+   * @param {number} index - the index of the active item
+   */
+  renderCrumb(crumb, step, index) {
+    const {
+      child,
+      content,
+    } = crumb;
 
-      return (
-        <li
-          aria-current={ariaCurrent}
-          data-index={step}
-        >
-          {child}
-        </li>
-      );
-    });
+    const microdata = this.props.structuredData === 'microdata';
+    const attributes = {
+      'aria-current': (index === step) ? 'page' : null,
+      'data-index': step,
+      itemProp: microdata ? 'itemListElement' : undefined,
+      itemScope: microdata || undefined,
+      itemType: microdata ? SCHEMA.item : undefined,
+      key: `crumb-${step}`,
+    };
+
+    /* if this is a list item, return it, otherwise, return a list item */
+    if (child && typeof child.type !== 'function' && child.type === 'li') {
+      return React.cloneElement(child, attributes, child.props.children, this.renderMeta(crumb, step));
+    }
+
+    return (
+      <li { ...attributes }>
+        {content}
+        {this.renderMeta(crumb, step)}
+      </li>
+    );
+  }
+
+  /**
+   * @private
+   * @description Returns the microdata properties of a crumb
+   * @returns {object} jsx
+   * @param {object} crumb
+   * @param {number} step - the index of the crumb, starting at 1
+   */
+  renderMeta(crumb, step) {
+    if (this.props.structuredData !== 'microdata') {
+      return null;
+    }
+
+    return (
+      <React.Fragment>
+        <meta content={crumb.label} itemProp="name" />
+        <meta content={step} itemProp="position" />
+        {crumb.href && <link href={this.resolve(crumb.href)} itemProp="item" />}
+      </React.Fragment>
+    );
+  }
+
+  /**
+   * @private
+   * @description Returns the JSON-LD description of the crumbs
+   * @returns {object} jsx
+   * @param {object[]} crumbs
+   */
+  renderJsonLd(crumbs) {
+    const data = {
+      '@context': 'https://schema.org',
+      '@type': 'BreadcrumbList',
+      itemListElement: crumbs.map((crumb, i) => ({
+        '@type': 'ListItem',
+        item: crumb.href ? this.resolve(crumb.href) : undefined,
+        name: crumb.label,
+        position: i + 1,
+      })),
+    };
+
+    /* escape the '<' so a label cannot close the script element */
+    return (
+      <script
+        dangerouslySetInnerHTML={{ __html: JSON.stringify(data).replace(/</g, '\\u003c') }}
+        type="application/ld+json"
+      />
+    );
+  }
+
+  /**
+   * @private
+   * @description Resolves an href against the `baseUrl`
+   * @returns {string}
+   * @param {string} href
+   */
+  resolve(href) {
+    const {
+      baseUrl,
+    } = this.props;
+
+    if (!baseUrl || /^[a-z][a-z\d+.-]*:/i.test(href)) {
+      return href;
+    }
+    return `${baseUrl.replace(/\/$/, '')}/${href.replace(/^\//, '')}`;
+  }
+
+  /**
+   * @private
+   * @description Returns the menu of the collapsed crumbs
+   * @returns {object} jsx
+   * @param {object[]} crumbs
+   * @param {number} index - the index of the active item
+   * @param {number} offset - the index of the first collapsed crumb
+   */
+  renderCollapsed(crumbs, index, offset) {
+    const {
+      collapsedLabel,
+      id,
+    } = this.props;
+
+    /* the key changes with the crumbs because a SubMenu reads its children when it is created */
+    return (
+      <SubMenu
+        className="collapsed"
+        id={`${id}-collapsed`}
+        key={`${id}-collapsed-${offset}-${crumbs.length}`}
+        label={collapsedLabel}
+      >
+        {
+          crumbs.map((crumb, i) => (
+            <MenuItem
+              current={index === offset + i}
+              href={crumb.href}
+              id={`${id}-collapsed-${offset + i}`}
+              key={`${id}-collapsed-${offset + i}`}
+              label={crumb.label}
+            />
+          ))
+        }
+      </SubMenu>
+    );
   }
 
   render() {
     const {
-      props,
-    } = this;
+      baseUrl,
+      children,
+      className,
+      collapsedLabel,
+      index,
+      itemsAfterCollapse,
+      itemsBeforeCollapse,
+      maxItems,
+      path,
+      routes,
+      structuredData,
+      ...rest
+    } = this.props;
+
+    const crumbs = this.crumbs;
+    const microdata = structuredData === 'microdata';
 
-    const className = `${props.className || ''} breadcrumbs`.trim();
+    /* default the index to the last item of a derived trail */
+    const current = Number(index) || (path ? crumbs.length : 0);
+
+    const collapse = maxItems > 0 && crumbs.length > maxItems &&
+      itemsBeforeCollapse + itemsAfterCollapse < crumbs.length;
+    const after = crumbs.length - itemsAfterCollapse;
 
     return (
-      <nav { ...props } className={className}>
-        <ol>
-          {this.steps}
+      <nav { ...rest } className={`${className || ''} breadcrumbs`.trim()}>
+        <ol
+          itemScope={microdata || undefined}
+          itemType={microdata ? SCHEMA.list : undefined}
+        >
+          {
+            collapse ?
+              [].concat(
+                crumbs.slice(0, itemsBeforeCollapse)
+                  .map((crumb, i) => this.renderCrumb(crumb, i + 1, current)),
+                this.renderCollapsed(crumbs.slice(itemsBeforeCollapse, after), current,
+                  itemsBeforeCollapse + 1),
+                /* the microdata of the collapsed crumbs is kept in the list, so the trail is whole */
+                microdata ?
+                  crumbs.slice(itemsBeforeCollapse, after).map((crumb, i) => (
+                    <li
+                      hidden
+                      itemProp="itemListElement"
+                      itemScope
+                      itemType={SCHEMA.item}
+                      key={`crumb-${itemsBeforeCollapse + i + 1}`}
+                    >
+                      {this.renderMeta(crumb, itemsBeforeCollapse + i + 1)}
+                    </li>
+                  )) :
+                  [],
+                crumbs.slice(after)
+                  .map((crumb, i) => this.renderCrumb(crumb, after + i + 1, current)),
+              ) :
+              crumbs.map((crumb, i) => this.renderCrumb(crumb, i + 1, current))
+          }
         </ol>
+        {structuredData === 'json-ld' && this.renderJsonLd(crumbs)}
       </nav>
     );
   }
 }
+Breadcrumbs.defaultProps = {
+  collapsedLabel: '…',
+  id: `breadcrumbs-${(new Date()).getTime()}`,
+  itemsAfterCollapse: 1,
+  itemsBeforeCollapse: 1,
+  routes: {},
+};
 Breadcrumbs.propTypes = {
+  baseUrl: PropTypes.string,
+  collapsedLabel: PropTypes.string,
+  id: PropTypes.string,
   index: PropTypes.number,
+  itemsAfterCollapse: PropTypes.number,
+  itemsBeforeCollapse: PropTypes.number,
+  maxItems: PropTypes.number,
+  path: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.arrayOf(PropTypes.shape({
+      href: PropTypes.string,
+      label: PropTypes.string.isRequired,
+    })),
+  ]),
+  routes: PropTypes.objectOf(PropTypes.string),
+  structuredData: PropTypes.oneOf(['json-ld', 'microdata']),
 };
 export default Breadcrumbs;
@@ -34,6 +34,7 @@
 
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
+import move from '../Grid/move';
 import './style.css';
 
 class Calendar extends React.Component {
@@ -246,38 +247,10 @@ class Calendar extends React.Component {
       last: 6,
     };
 
-    let rowIndex = row;
-    let colIndex = col;
-
-    switch (direction) {
-      case 'down':
-        rowIndex += 1;
-        break;
-      case 'end':
-        colIndex = COLS.last;
-        break;
-      case 'home':
-        colIndex = COLS.first;
-        break;
-      case 'left':
-        colIndex -= 1;
-        rowIndex = row + Math.min(0, colIndex - COLS.first);
-        break;
-      case 'up':
-        rowIndex -= 1;
-        break;
-      case 'right':
-        colIndex += 1;
-        rowIndex = row + Math.max(0, colIndex - COLS.last);
-        break;
-      default:
-    }
-
-    /* resolve an out-of-bounds attempt */
-    rowIndex = (rowIndex < ROWS.first) ? ROWS.last : rowIndex;
-    colIndex = (colIndex < COLS.first) ? COLS.last : colIndex;
-    rowIndex = (rowIndex > ROWS.last) ? ROWS.first : rowIndex;
-    colIndex = (colIndex > COLS.last) ? COLS.first : colIndex;
+    const {
+      col: colIndex,
+      row: rowIndex,
+    } = move(row, col, direction, { cols: COLS, rows: ROWS }, { wrap: true });
 
     table.rows[rowIndex].cells[colIndex].focus();
   }
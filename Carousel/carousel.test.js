@@ -0,0 +1,235 @@
+import { mount } from 'enzyme';
+import React from 'react';
+
+import Carousel from './index';
+
+describe('Carousel', () => {
+  let carousels;
+  let onChange;
+
+  beforeEach(() => {
+    onChange = jest.fn();
+    carousels = mount(
+      <div>
+        <Carousel id="dogs" onChange={onChange}>
+          <p>Dog 1</p>
+          <p>Dog 2</p>
+          <p>Dog 3</p>
+        </Carousel>
+        <Carousel id="cats">
+          <p>Cat 1</p>
+          <p>Cat 2</p>
+          <p>Cat 3</p>
+        </Carousel>
+      </div>,
+      { attachTo: document.body.appendChild(document.createElement('div')) }
+    );
+  });
+  afterEach(() => {
+    carousels.unmount();
+  });
+
+  const current = id => carousels.find(`ul#${id} li[aria-current="item"]`).text();
+
+  test('should render each carousel with its first item current', () => {
+    expect(current('dogs')).toBe('Dog 1');
+    expect(current('cats')).toBe('Cat 1');
+    expect(carousels.find('section#dogs-section').prop('aria-roledescription')).toBe('carousel');
+  });
+  test('should move to the next and previous item without changing the other carousel', () => {
+    carousels.find('section#dogs-section button[name="next"]').simulate('click');
+    expect(current('dogs')).toBe('Dog 2');
+    expect(current('cats')).toBe('Cat 1');
+
+    carousels.find('section#cats-section button[name="previous"]').simulate('click');
+    expect(current('dogs')).toBe('Dog 2');
+    expect(current('cats')).toBe('Cat 3');
+  });
+  test('should call onChange with the index and the carousel', () => {
+    carousels.find('section#dogs-section button[name="next"]').simulate('click');
+    expect(onChange).toHaveBeenCalledWith(1, carousels.find(Carousel).first().instance());
+  });
+  test('should move to the item on ArrowRight and ArrowLeft', () => {
+    carousels.find('section#dogs-section').simulate('keydown', { key: 'ArrowLeft' });
+    expect(current('dogs')).toBe('Dog 3');
+    carousels.find('section#dogs-section').simulate('keydown', { key: 'ArrowRight' });
+    expect(current('dogs')).toBe('Dog 1');
+    carousels.find('ul#dogs').simulate('keydown', { key: 'ArrowRight' });
+    expect(current('dogs')).toBe('Dog 2');
+    carousels.find('section#dogs-section button[name="next"]').simulate('keydown', { key: 'ArrowRight' });
+    expect(current('dogs')).toBe('Dog 3');
+  });
+  test('should leave the arrow keys to the content of an item', () => {
+    const carousel = mount(
+      <Carousel id="form">
+        <input id="name" type="text" />
+        <p>Item 2</p>
+      </Carousel>
+    );
+
+    carousel.find('input#name').simulate('keydown', { key: 'ArrowRight' });
+    expect(carousel.instance().index).toBe(0);
+
+    carousel.unmount();
+  });
+  test('should make the item of a dot in the indicator current', () => {
+    carousels.find('section#dogs-section .indicator button').at(2).simulate('click');
+    expect(current('dogs')).toBe('Dog 3');
+    expect(carousels.find('section#dogs-section .indicator button').at(2).prop('aria-current')).toBe('true');
+  });
+  test('should move to the next and previous item on a swipe', () => {
+    const viewer = () => carousels.find('ul#dogs');
+
+    viewer().simulate('pointerdown', { button: 0, clientX: 200, isPrimary: true, pointerType: 'touch' });
+    viewer().simulate('pointerup', { clientX: 100 });
+    expect(current('dogs')).toBe('Dog 2');
+
+    /* the click that ends a swipe is not followed */
+    const click = { preventDefault: jest.fn(), stopPropagation: jest.fn() };
+    viewer().simulate('click', click);
+    expect(click.preventDefault).toHaveBeenCalled();
+
+    viewer().simulate('pointerdown', { button: 0, clientX: 100, isPrimary: true, pointerType: 'touch' });
+    viewer().simulate('pointerup', { clientX: 180 });
+    expect(current('dogs')).toBe('Dog 1');
+
+    /* a movement shorter than the threshold is not a swipe */
+    viewer().simulate('pointerdown', { button: 0, clientX: 100, isPrimary: true, pointerType: 'touch' });
+    viewer().simulate('pointerup', { clientX: 80 });
+    expect(current('dogs')).toBe('Dog 1');
+  });
+  test('should follow a controlled index', () => {
+    const controlled = mount(
+      <Carousel id="birds" index={0}>
+        <p>Bird 1</p>
+        <p>Bird 2</p>
+        <p>Bird 3</p>
+      </Carousel>
+    );
+
+    controlled.setProps({ index: 2 });
+    expect(controlled.find('li[aria-current="item"]').text()).toBe('Bird 3');
+    expect(controlled.instance().index).toBe(2);
+
+    /* an update that does not change the index keeps the current item */
+    controlled.find('button[name="previous"]').simulate('click');
+    controlled.setProps({ delay: 3000 });
+    expect(controlled.instance().index).toBe(1);
+
+    controlled.unmount();
+  });
+});
+
+describe('Carousel animation', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should move to the next item after the delay', () => {
+    const carousel = mount(
+      <Carousel autoplay delay={1000} id="dogs">
+        <p>Dog 1</p>
+        <p>Dog 2</p>
+      </Carousel>
+    );
+
+    jest.advanceTimersByTime(1000);
+    carousel.update();
+    expect(carousel.find('li[aria-current="item"]').text()).toBe('Dog 2');
+
+    carousel.unmount();
+  });
+  test('should stop at the last item when the carousel does not loop', () => {
+    const carousel = mount(
+      <Carousel autoplay delay={1000} id="dogs" loop={false}>
+        <p>Dog 1</p>
+        <p>Dog 2</p>
+      </Carousel>
+    );
+
+    jest.advanceTimersByTime(3000);
+    carousel.update();
+    expect(carousel.find('li[aria-current="item"]').text()).toBe('Dog 2');
+    expect(carousel.instance().playing).toBe(false);
+    expect(jest.getTimerCount()).toBe(0);
+
+    carousel.unmount();
+  });
+  test('should clear the timer on unmount', () => {
+    const carousel = mount(
+      <Carousel autoplay delay={1000} id="dogs">
+        <p>Dog 1</p>
+        <p>Dog 2</p>
+      </Carousel>
+    );
+
+    expect(jest.getTimerCount()).toBe(1);
+    carousel.unmount();
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
+
+describe('Carousel modes', () => {
+  const items = count => Array.from({ length: count }, (item, i) => <p key={i}>{`Item ${i + 1}`}</p>);
+  const visible = carousel => carousel.find('ul.viewer li.visible').map(item => item.text());
+
+  test('should show several items and a dot for each page', () => {
+    const carousel = mount(<Carousel id="products" itemsPerView={3}>{items(7)}</Carousel>);
+
+    expect(visible(carousel)).toEqual(['Item 1', 'Item 2', 'Item 3']);
+    expect(carousel.find('ul.viewer').hasClass('multiple')).toBe(true);
+    expect(carousel.instance().pages).toBe(3);
+    expect(carousel.find('.indicator button').length).toBe(3);
+    expect(carousel.find('.carousel-announcement').text()).toBe('Page 1 of 3');
+
+    /* the last page is always full */
+    carousel.find('button[name="next"]').simulate('click');
+    carousel.find('button[name="next"]').simulate('click');
+    expect(visible(carousel)).toEqual(['Item 5', 'Item 6', 'Item 7']);
+    expect(carousel.find('.carousel-announcement').text()).toBe('Page 3 of 3');
+
+    carousel.unmount();
+  });
+  test('should not wrap when the carousel does not loop', () => {
+    const carousel = mount(<Carousel id="products" loop={false}>{items(3)}</Carousel>);
+
+    carousel.find('button[name="previous"]').simulate('click');
+    expect(carousel.instance().index).toBe(0);
+    carousel.instance().select(5);
+    expect(carousel.instance().index).toBe(2);
+    carousel.find('button[name="next"]').simulate('click');
+    expect(carousel.instance().index).toBe(2);
+
+    carousel.unmount();
+  });
+  test('should only render the items near the items shown when lazy', () => {
+    const carousel = mount(<Carousel id="products" lazy loop={false}>{items(5)}</Carousel>);
+    const rendered = () => carousel.find('ul.viewer li').map(item => item.text() !== '');
+
+    expect(rendered()).toEqual([true, true, false, false, false]);
+    carousel.find('button[name="next"]').simulate('click');
+    expect(rendered()).toEqual([true, true, true, false, false]);
+
+    carousel.unmount();
+  });
+  test('should load the items across the wrap when the carousel loops', () => {
+    const carousel = mount(<Carousel id="products" lazy>{items(5)}</Carousel>);
+
+    expect(carousel.find('ul.viewer li').map(item => item.text() !== ''))
+      .toEqual([true, true, false, false, true]);
+
+    carousel.unmount();
+  });
+  test('should limit a controlled index to the last page', () => {
+    const carousel = mount(<Carousel id="products" index={0} itemsPerView={2}>{items(4)}</Carousel>);
+
+    carousel.setProps({ index: 10 });
+    expect(carousel.instance().index).toBe(2);
+    expect(visible(carousel)).toEqual(['Item 3', 'Item 4']);
+
+    carousel.unmount();
+  });
+});
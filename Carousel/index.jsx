@@ -2,10 +2,38 @@
  * @author H Robert King <hrobertking@cathmhaol.com>
  * @class Carousel
  *
- * @description A slideshow for cycling through a series of content.
+ * @description A slideshow for cycling through a series of content. The current item is kept in
+ * the state of the component, so each carousel on a page is independent of the others. The
+ * current item can be changed by swiping the viewer, by `ArrowLeft` and `ArrowRight` when the
+ * viewer or one of its buttons has focus, and by selecting a dot in the indicator. The animation pauses while the
+ * pointer is over the carousel or the carousel has focus, and does not start automatically when
+ * the user prefers reduced motion. When `itemsPerView` is more than one, several items are shown
+ * at a time and the indicator shows pages of items instead of individual items. The current slide,
+ * or page, is announced in a polite live region, e.g., 'Slide 2 of 4', while the animation is not
+ * running.
  *
  * @param {boolean} [autoplay] - start animation on load
  * @param {string} [delay] - the number of milliseconds an item is current, defaults to 5000
+ * @param {string} id
+ * @param {number} [index] - the index of the current item, starting at 0; when several items are
+ * shown, the current item is the first item shown
+ * @param {object} [labels] - text that overrides the text in the language pack, e.g.,
+ * `{ next: 'Forward' }`
+ * @param {string} [lang] - the BCP-47 language code of the labels; default is 'en'
+ * @param {number} [itemsPerView] - the number of items shown at a time; default is 1
+ * @param {boolean} [lazy] - defer rendering items until they are shown or are next to the items
+ * shown, so off-screen images are not loaded
+ * @param {boolean} [loop] - whether or not the carousel wraps from the last item to the first
+ * item and from the first item to the last item; default is true. When the carousel does not
+ * loop, the animation stops at the last page.
+ * @param {function} [onChange] - ECMAScript function to run when the current item changes. Two
+ * arguments are passed into the `onChange` function: the index of the item and the Carousel
+ * instance.
+ * @param {number} [scrollBy] - the number of items moved by next and previous; default is the
+ * `itemsPerView`
+ * @param {boolean} [stopOnInteraction] - stop the animation when the user changes the current item
+ * @param {number} [swipeThreshold] - the distance, in pixels, a pointer must move to change the
+ * current item; default is 50
  *
  * @example
  * <Carousel delay={3000} id="dogs" style={{height: '360px'}}>
@@ -34,209 +62,682 @@
  *     </figure>
  *   </a>
  * </Carousel>
+ *
+ * @example
+ * <Carousel id="products" itemsPerView={4} lazy loop={false}>
+ *   {products.map(product => <ProductCard key={product.sku} product={product} />)}
+ * </Carousel>
  */
 
 import React, { Component } from 'react';
 import { PropTypes } from 'prop-types';
+import LABELS from './lang.js';
 import './style.css';
 
+/**
+ * @private
+ * @description The viewer and the buttons of the carousel, which handle the arrow keys
+ * @type {string}
+ */
+const CAROUSEL_CONTROLS = '.carousel > .viewer, .carousel > .controls > li > button, .indicator > li > button';
+
 class Carousel extends Component {
   constructor(props) {
     super(props);
 
-    /* Loop through the children to pull out the `Controllers` children */
-    this.items = React.Children.map(props.children, (child, i) => {
-      return (
-        <li data-index={i + 1}>
-          {child}
-        </li>
-      );
-    });
+    const index = Number(props.index) || 0;
 
     this.state = {
-      playing: !!props.autoplay,
+      focused: false,
+      hovered: false,
+      index,
+      loaded: this.load(index, [], props),
+      playing: !!props.autoplay && !this.reducedMotion,
     };
   }
 
-  componentDidMount() {
-    this.select(this.first);
-    if (this.props.autoplay) {
-      this.animate();
+  /**
+   * @private
+   * @description Runs when props are updated so the current item can be controlled
+   * @returns {undefined}
+   * @param {object} props
+   */
+  componentWillReceiveProps(props) {
+    const perView = Math.max(Math.round(Number(props.itemsPerView)) || 1, 1);
+    const lastIndex = Math.max(React.Children.count(props.children) - perView, 0);
+
+    if (!Number.isNaN(Number(props.index)) && props.index !== this.props.index) {
+      /* the index is limited to the first item and the last page */
+      const index = Math.min(Math.max(Number(props.index), 0), lastIndex);
+
+      this.setState({
+        index,
+        loaded: this.load(index, this.state.loaded, props),
+      });
     }
   }
 
-  render() {
+  componentDidMount() {
+    this.rotate();
+  }
+
+  componentDidUpdate(prevProps, prevState) {
     const {
-      autoplay,
-      delay,
-      id,
-      style,
-      ...passthru,
-    } = this.props;
+      focused,
+      hovered,
+      index,
+      playing,
+    } = this.state;
 
-    /* start/stop the animation timer */
-    let animationControl;
-    if (this.state.playing) {
-      this.timer = setInterval(() => {
-        this.select({ target: {
-          name: 'next'
-        }});
-      }, delay || 5000);
-      animationControl = (
-        <button aria-label={this.labels.stop} type="button" onClick={this.stop}>▢</button>
-      );
-    } else {
-      clearInterval(this.timer);
-      animationControl = (
-        <button aria-label={this.labels.play} type="button" onClick={this.animate}>▷</button>
-      );
+    if (prevState.playing !== playing || prevState.focused !== focused ||
+        prevState.hovered !== hovered || prevProps.delay !== this.props.delay) {
+      this.rotate();
+    } else if (prevState.index !== index && this.timer) {
+      /* give the new item the full delay */
+      this.rotate();
     }
+  }
 
-    return (
-      <React.Fragment>
-      <section id={`${id}-section`} {...passthru}>
-        <div className="carousel" style={style}>
-          <ul className="viewer" id={id}>
-            {this.items}
-          </ul>
-          <ul className="controls">
-            <li>
-              <button aria-label={this.labels.previous} type="button" name="previous" onClick={this.select}>
-                ❮
-              </button>
-            </li>
-            <li>
-              <button aria-label={this.labels.next} type="button" name="next" onClick={this.select}>
-                ❯
-              </button>
-            </li>
-          </ul>
-        </div>
-        <ul aria-live="polite" aria-atomic="true" className="indicator">
-          {this.items.map((item, index) => <li aria-label={index + 1}>◉</li>)}
-        </ul>
-      </section>
-      {animationControl}
-      </React.Fragment>
-    );
+  componentWillUnmount() {
+    clearInterval(this.timer);
+    this.timer = null;
   }
 
-  get current() {
-    return document.querySelector(`#${this.props.id} > li[aria-current]`);
+  /**
+   * @property index
+   * @description The index of the current item
+   * @type {number}
+   */
+  get index() {
+    return this.state.index;
   }
 
-  get element() {
-    return document.getElementById(this.props.id);
+  /**
+   * @property labels
+   * @description The text of the language pack, overridden by the `labels`
+   * @type {object}
+   */
+  get labels() {
+    return Object.assign({}, LABELS[this.lang], this.props.labels);
   }
 
-  get first() {
-    return this.element.getElementsByTagName('li').item(0);
+  /**
+   * @property lang
+   * @description The BCP-47 code to be used. Default is 'en'.
+   * @type {string}
+   */
+  get lang() {
+    const lang = this.props.lang || 'en';
+    const [language] = lang.split('-');
+
+    if (LABELS.hasOwnProperty(lang)) {
+      return lang;
+    } else if (LABELS.hasOwnProperty(language)) {
+      return language;
+    }
+    return 'en';
   }
 
-  get index() {
-    return this.current && this.current.getAttribute('data-index');
+  /**
+   * @property playing
+   * @description Whether or not the animation is playing; the animation can be playing while it is
+   * paused by hover or focus
+   * @type {boolean}
+   */
+  get playing() {
+    return this.state.playing;
   }
 
-  get indicator() {
-    return document.querySelector('.carousel + .indicator');
+  /**
+   * @private
+   * @description Whether or not the user prefers reduced motion
+   * @type {boolean}
+   */
+  get reducedMotion() { // eslint-disable-line class-methods-use-this
+    /* there is no window when the carousel is rendered on the server */
+    return typeof window !== 'undefined' && !!(window.matchMedia &&
+      window.matchMedia('(prefers-reduced-motion: reduce)').matches);
   }
 
-  get labels() {
-    switch (this.props.lang) {
-      case 'es':
-        return {
-          next: 'Próximo',
-          play: 'Animar',
-          previous: 'Anterior',
-          stop: 'Suspender',
-        };
-      case 'en':
-      default:
-        return {
-          next: 'Next',
-          play: 'Play',
-          previous: 'Previous',
-          stop: 'Stop',
-        };
-    }
+  /**
+   * @property length
+   * @description The number of items
+   * @type {number}
+   */
+  get length() {
+    return React.Children.count(this.props.children);
   }
 
-  get last() {
-    return [].slice.call(this.element.getElementsByTagName('li')).pop();
+  /**
+   * @private
+   * @description The index of the first item on the last page
+   * @type {number}
+   */
+  get lastIndex() {
+    return Math.max(this.length - this.perView, 0);
   }
 
-  get length() {
-    return this.element.childNodes.length;
+  /**
+   * @property page
+   * @description The index of the current page
+   * @type {number}
+   */
+  get page() {
+    return Math.min(Math.ceil(this.state.index / this.step), this.pages - 1);
   }
 
-  get next() {
-    return this.current && this.current.nextElementSibling ?
-      this.current.nextElementSibling :
-      this.first;
+  /**
+   * @property pages
+   * @description The number of pages
+   * @type {number}
+   */
+  get pages() {
+    return Math.ceil(this.lastIndex / this.step) + 1;
+  }
+
+  /**
+   * @private
+   * @description The number of items shown at a time
+   * @type {number}
+   */
+  get perView() {
+    return Math.max(Math.round(Number(this.props.itemsPerView)) || 1, 1);
   }
 
-  get previous() {
-    return this.current && this.current.previousElementSibling ?
-      this.current.previousElementSibling :
-      this.last;
+  /**
+   * @private
+   * @description The number of items moved by next and previous
+   * @type {number}
+   */
+  get step() {
+    return Math.max(Math.round(Number(this.props.scrollBy)) || this.perView, 1);
   }
 
+  /**
+   * @private
+   * @description Moves to the next item when the animation timer fires, stopping the animation at
+   * the last page when the carousel does not `loop`
+   * @returns {undefined}
+   */
+  advance = () => {
+    if (!this.props.loop && this.state.index >= this.lastIndex) {
+      this.pause();
+    } else {
+      this.next();
+    }
+  };
 
   /**
    * @private
-   * @method animate
+   * @description Stops the animation when the user changes the current item and
+   * `stopOnInteraction` is set
+   * @returns {undefined}
    */
-  animate = () => {
-    this.setState({ playing: true });
+  interact = () => {
+    if (this.props.stopOnInteraction && this.state.playing) {
+      this.pause();
+    }
   };
 
   /**
    * @private
+   * @description Returns the loaded items after the items near the specified index are shown
+   * @returns {boolean[]}
+   * @param {number} index
+   * @param {boolean[]} loaded
+   * @param {object} [props]
+   */
+  load(index, loaded, props = this.props) {
+    const count = React.Children.count(props.children);
+    const perView = Math.max(Math.round(Number(props.itemsPerView)) || 1, 1);
+    const step = Math.max(Math.round(Number(props.scrollBy)) || perView, 1);
+    const result = loaded.slice();
+
+    if (!count) {
+      return result;
+    }
+
+    /* the items shown and the items a step away on either side, wrapping when the carousel loops */
+    for (let i = index - step; i < index + perView + step; i += 1) {
+      if (props.loop) {
+        result[(i + count) % count] = true;
+      } else if (i >= 0 && i < count) {
+        result[i] = true;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * @method next
+   * @description Moves forward by the `scrollBy` number of items. The last page is always full, so
+   * the carousel stops at the last page before it wraps to the first item.
+   * @returns {undefined}
+   */
+  next = () => {
+    const index = this.state.index + this.step;
+
+    if (index <= this.lastIndex) {
+      this.select(index);
+    } else if (this.state.index < this.lastIndex) {
+      this.select(this.lastIndex);
+    } else if (this.props.loop) {
+      this.select(0);
+    }
+  };
+
+  /**
+   * @method previous
+   * @description Moves back by the `scrollBy` number of items. The carousel stops at the first item
+   * before it wraps to the last page.
+   * @returns {undefined}
+   */
+  previous = () => {
+    const index = this.state.index - this.step;
+
+    if (index >= 0) {
+      this.select(index);
+    } else if (this.state.index > 0) {
+      this.select(0);
+    } else if (this.props.loop) {
+      this.select(this.lastIndex);
+    }
+  };
+
+  /**
    * @method select
+   * @description Makes the item at the specified index current and calls the `onChange` handler.
+   * An index before the first item or after the last page wraps when `loop` is set and is limited
+   * to the first item or the last page when it is not.
+   * @returns {undefined}
+   * @param {number} ndx
+   */
+  select = (ndx) => {
+    const lastIndex = this.lastIndex;
+    const loop = this.props.loop;
+    const index = ndx < 0 ?
+      (loop ? lastIndex : 0) :
+      ndx > lastIndex ?
+        (loop ? 0 : lastIndex) :
+        ndx;
+
+    if (index !== this.state.index) {
+      this.setState({
+        index,
+        loaded: this.load(index, this.state.loaded),
+      });
+      if (this.props.onChange) {
+        this.props.onChange(index, this);
+      }
+    }
+  };
+
+  /**
+   * @method pause
+   * @description Stops the animation
+   * @returns {undefined}
+   */
+  pause = () => {
+    this.setState({ playing: false });
+  };
+
+  /**
+   * @method play
+   * @description Starts the animation. The animation waits while the pointer is over the carousel
+   * or the carousel has focus.
+   * @returns {undefined}
+   */
+  play = () => {
+    this.setState({ playing: true });
+  };
+
+  /**
+   * @private
+   * @description Handles the blur event on the carousel, resuming the animation when focus leaves
+   * the carousel
+   * @returns {undefined}
+   * @param {event} e
+   */
+  onBlur = (e) => {
+    if (!this.element || !this.element.contains(e.relatedTarget)) {
+      this.setState({ focused: false });
+    }
+  };
+
+  /**
+   * @private
+   * @description Handles the click event on the viewer, ignoring the click that ends a swipe so a
+   * linked item is not followed
+   * @returns {undefined}
+   * @param {event} e
+   */
+  onClickCapture = (e) => {
+    if (this.swiped) {
+      e.preventDefault();
+      e.stopPropagation();
+      this.swiped = false;
+    }
+  };
+
+  /**
+   * @private
+   * @description Handles the keydown event on the carousel. The arrow keys are left to the content
+   * of the items, e.g., a text input, and only change the current item when the carousel, the
+   * viewer, or one of its buttons has focus.
    * @returns {undefined}
    * @param {event} e
    */
-  select = (e) => {
+  onKeyDown = (e) => {
     const {
-      target = { name: '' },
+      currentTarget,
+      target,
     } = e;
 
-    let node = e;
-    switch (target.name) {
-      case 'next':
-        node = this.next;
+    if (target !== currentTarget && !(target.matches && target.matches(CAROUSEL_CONTROLS))) {
+      return;
+    }
+
+    switch (e.key) {
+      case 'ArrowLeft':
+        e.preventDefault();
+        this.interact();
+        this.previous();
         break;
-      case 'previous':
-        node = this.previous;
+      case 'ArrowRight':
+        e.preventDefault();
+        this.interact();
+        this.next();
         break;
       default:
     }
+  };
 
-    if (this.current) {
-      this.indicator.childNodes[this.index - 1].removeAttribute('aria-current');
-      this.current.removeAttribute('aria-current');
+  /**
+   * @private
+   * @description Handles the focus event on the carousel, pausing the animation
+   * @returns {undefined}
+   */
+  onFocus = () => {
+    if (!this.state.focused) {
+      this.setState({ focused: true });
     }
+  };
 
-    if (node) {
-      node.setAttribute('aria-current', 'item');
-      this.indicator.childNodes[this.index - 1].setAttribute('aria-current', 'item');
+  /**
+   * @private
+   * @description Handles the click event on the next button
+   * @returns {undefined}
+   */
+  onNext = () => {
+    this.interact();
+    this.next();
+  };
+
+  /**
+   * @private
+   * @description Handles the mouseenter event on the carousel, pausing the animation
+   * @returns {undefined}
+   */
+  onMouseEnter = () => {
+    this.setState({ hovered: true });
+  };
+
+  /**
+   * @private
+   * @description Handles the mouseleave event on the carousel, resuming the animation
+   * @returns {undefined}
+   */
+  onMouseLeave = () => {
+    this.setState({ hovered: false });
+  };
+
+  /**
+   * @private
+   * @description Handles the pointerdown event on the viewer
+   * @returns {undefined}
+   * @param {event} e
+   */
+  onPointerDown = (e) => {
+    if (e.isPrimary === false || (e.pointerType === 'mouse' && e.button !== 0)) {
+      return;
     }
+    this.pointer = e.clientX;
+    this.swiped = false;
   };
 
   /**
    * @private
-   * @method stop
+   * @description Handles the pointerup event on the viewer, changing the current item when the
+   * pointer moved further than the `swipeThreshold`
+   * @returns {undefined}
+   * @param {event} e
    */
-  stop = () => {
-    this.setState({ playing: false });
+  onPointerUp = (e) => {
+    if (this.pointer === null || typeof this.pointer === 'undefined') {
+      return;
+    }
+
+    const distance = e.clientX - this.pointer;
+    this.pointer = null;
+
+    if (Math.abs(distance) >= this.props.swipeThreshold) {
+      this.swiped = true;
+      this.interact();
+      if (distance < 0) {
+        this.next();
+      } else {
+        this.previous();
+      }
+    }
   };
+
+  /**
+   * @private
+   * @description Handles the pointercancel event on the viewer
+   * @returns {undefined}
+   */
+  onPointerCancel = () => {
+    this.pointer = null;
+  };
+
+  /**
+   * @private
+   * @description Handles the click event on the previous button
+   * @returns {undefined}
+   */
+  onPrevious = () => {
+    this.interact();
+    this.previous();
+  };
+
+  /**
+   * @private
+   * @description Starts or stops the animation timer, so the timer only runs while the animation
+   * is playing and is not paused by hover or focus
+   * @returns {undefined}
+   */
+  rotate = () => {
+    const {
+      focused,
+      hovered,
+      playing,
+    } = this.state;
+
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (playing && !focused && !hovered) {
+      this.timer = setInterval(this.advance, this.props.delay || 5000);
+    }
+  };
+
+  /**
+   * @private
+   * @description Sets the DOM reference used to track focus
+   * @returns {undefined}
+   * @param {HTMLElement} node
+   */
+  setRef = (node) => {
+    if (node) {
+      this.element = node;
+    }
+  };
+
+  render() {
+    const {
+      autoplay,
+      children,
+      delay,
+      id,
+      index,
+      itemsPerView,
+      labels,
+      lazy,
+      loop,
+      onChange,
+      scrollBy,
+      stopOnInteraction,
+      style,
+      swipeThreshold,
+      ...passthru
+    } = this.props;
+
+    const current = this.state.index;
+    const items = React.Children.toArray(children);
+    const text = this.labels;
+    const running = this.state.playing && !this.state.focused && !this.state.hovered;
+    const perView = this.perView;
+    const page = this.page;
+    const pages = [];
+
+    for (let p = 0; p < this.pages; p += 1) {
+      pages.push(Math.min(p * this.step, this.lastIndex));
+    }
+
+    /* pages are announced when several items are shown */
+    const describe = (n, count) => (perView > 1 ? text.page : text.slide)
+      .replace(/\{index\}/, n)
+      .replace(/\{count\}/, count);
+
+    const animationControl = this.state.playing ?
+      <button aria-label={text.stop} type="button" onClick={this.pause}>▢</button> :
+      <button aria-label={text.play} type="button" onClick={this.play}>▷</button>;
+
+    return (
+      <React.Fragment>
+      <section
+        aria-roledescription={text.carousel}
+        id={`${id}-section`}
+        {...passthru}
+        onBlur={this.onBlur}
+        onFocus={this.onFocus}
+        onKeyDown={this.onKeyDown}
+        onMouseEnter={this.onMouseEnter}
+        onMouseLeave={this.onMouseLeave}
+        ref={this.setRef}
+      >
+        <div className="carousel" style={style}>
+          <ul
+            className={`viewer ${perView > 1 ? 'multiple' : ''}`.trim()}
+            id={id}
+            onClickCapture={this.onClickCapture}
+            onDragStart={e => e.preventDefault()}
+            onPointerCancel={this.onPointerCancel}
+            onPointerDown={this.onPointerDown}
+            onPointerUp={this.onPointerUp}
+            tabIndex={0}
+          >
+            {
+              items.map((item, i) => {
+                const visible = i >= current && i < current + perView;
+                return (
+                  <li
+                    aria-current={i === current ? 'item' : null}
+                    aria-hidden={visible ? null : 'true'}
+                    className={visible ? 'visible' : null}
+                    data-index={i + 1}
+                    key={`${id}-item-${i}`}
+                  >
+                    {(!lazy || this.state.loaded[i]) && item}
+                  </li>
+                );
+              })
+            }
+          </ul>
+          <ul className="controls">
+            <li>
+              <button aria-label={text.previous} type="button" name="previous" onClick={this.onPrevious}>
+                ❮
+              </button>
+            </li>
+            <li>
+              <button aria-label={text.next} type="button" name="next" onClick={this.onNext}>
+                ❯
+              </button>
+            </li>
+          </ul>
+        </div>
+        <ul className="indicator">
+          {
+            pages.map((start, p) => (
+              <li key={`${id}-indicator-${p}`}>
+                <button
+                  aria-current={p === page ? 'true' : null}
+                  aria-label={describe(p + 1, pages.length)}
+                  onClick={() => {
+                    this.interact();
+                    this.select(start);
+                  }}
+                  type="button"
+                >
+                  ◉
+                </button>
+              </li>
+            ))
+          }
+        </ul>
+        <span
+          aria-atomic="true"
+          aria-live={running ? 'off' : 'polite'}
+          className="carousel-announcement"
+        >
+          {perView > 1 ? describe(page + 1, pages.length) : describe(current + 1, items.length)}
+        </span>
+      </section>
+      {animationControl}
+      </React.Fragment>
+    );
+  }
 }
 Carousel.defaultProps = {
   id: `carousel-${(new Date()).getTime()}`,
+  itemsPerView: 1,
+  lang: 'en',
+  loop: true,
+  swipeThreshold: 50,
 };
 Carousel.propTypes = {
   autoplay: PropTypes.bool,
   delay: PropTypes.number,
   id: PropTypes.string,
+  index: PropTypes.number,
+  itemsPerView: PropTypes.number,
+  labels: PropTypes.shape({
+    carousel: PropTypes.string,
+    next: PropTypes.string,
+    page: PropTypes.string,
+    play: PropTypes.string,
+    previous: PropTypes.string,
+    slide: PropTypes.string,
+    stop: PropTypes.string,
+  }),
+  lang: PropTypes.string,
+  lazy: PropTypes.bool,
+  loop: PropTypes.bool,
+  onChange: PropTypes.func,
+  scrollBy: PropTypes.number,
+  stopOnInteraction: PropTypes.bool,
+  swipeThreshold: PropTypes.number,
 };
 export default Carousel;
@@ -0,0 +1,58 @@
+/**
+ * @author H Robert King <hrobertking@cathmhaol.com>
+ * @description Language pack for the carousel. The keywords `{index}` and `{count}` are replaced
+ * with the number of the slide or page and the number of slides or pages.
+ *
+ * @type {object}
+ * @property {object} (*) - BCP-47 code
+ * @property {string} (*).name - language name, e.g., English or Español
+ * @property {string} (*).carousel - carousel
+ * @property {string} (*).next - Next
+ * @property {string} (*).page - Page {index} of {count}
+ * @property {string} (*).play - Play
+ * @property {string} (*).previous - Previous
+ * @property {string} (*).slide - Slide {index} of {count}
+ * @property {string} (*).stop - Stop
+ */
+export default {
+  de: {
+    name: 'Deutsch',
+    carousel: 'Karussell',
+    next: 'Weiter',
+    page: 'Seite {index} von {count}',
+    play: 'Abspielen',
+    previous: 'Zurück',
+    slide: 'Folie {index} von {count}',
+    stop: 'Anhalten',
+  },
+  en: {
+    name: 'English',
+    carousel: 'carousel',
+    next: 'Next',
+    page: 'Page {index} of {count}',
+    play: 'Play',
+    previous: 'Previous',
+    slide: 'Slide {index} of {count}',
+    stop: 'Stop',
+  },
+  es: {
+    name: 'Español',
+    carousel: 'carrusel',
+    next: 'Próximo',
+    page: 'Página {index} de {count}',
+    play: 'Animar',
+    previous: 'Anterior',
+    slide: 'Diapositiva {index} de {count}',
+    stop: 'Suspender',
+  },
+  fr: {
+    name: 'Français',
+    carousel: 'carrousel',
+    next: 'Suivant',
+    page: 'Page {index} sur {count}',
+    play: 'Lire',
+    previous: 'Précédent',
+    slide: 'Diapositive {index} sur {count}',
+    stop: 'Arrêter',
+  },
+};
@@ -0,0 +1,110 @@
+import { mount } from 'enzyme';
+import React from 'react';
+
+import Grid, { GridCell, GridRow } from './index';
+import move from './move';
+
+describe('Grid', () => {
+  let grid;
+
+  beforeEach(() => {
+    grid = mount(
+      <Grid id="inventory" label="Inventory" pageSize={2}>
+        <GridRow>
+          <GridCell header id="c00">Item</GridCell>
+          <GridCell header id="c01">Quantity</GridCell>
+          <GridCell header id="c02">Price</GridCell>
+        </GridRow>
+        <GridRow>
+          <GridCell id="c10">Ion blaster</GridCell>
+          <GridCell id="c11">2</GridCell>
+          <GridCell id="c12">100</GridCell>
+        </GridRow>
+        <GridRow>
+          <GridCell id="c20">Mini-missile</GridCell>
+          <GridCell id="c21">12</GridCell>
+          <GridCell id="c22">50</GridCell>
+        </GridRow>
+        <GridRow>
+          <GridCell id="c30">Heater</GridCell>
+          <GridCell id="c31">1</GridCell>
+          <GridCell id="c32">25</GridCell>
+        </GridRow>
+      </Grid>,
+      { attachTo: document.body.appendChild(document.createElement('div')) }
+    );
+  });
+  afterEach(() => {
+    grid.unmount();
+  });
+
+  const press = (key, ctrlKey = false) => {
+    grid.find('table').simulate('keydown', { ctrlKey, key });
+  };
+
+  test('should render a grid with rows and cells', () => {
+    expect(grid.find('table').prop('role')).toBe('grid');
+    expect(grid.find('tr[role="row"]').length).toBe(4);
+    expect(grid.find('th[role="columnheader"]').length).toBe(3);
+    expect(grid.find('td[role="gridcell"]').length).toBe(9);
+  });
+  test('should only put the active cell in the tab sequence', () => {
+    expect(grid.find('th#c00').prop('tabIndex')).toBe(0);
+    expect(grid.find('td#c11').prop('tabIndex')).toBe(-1);
+  });
+  test('should move focus one cell on the arrow keys', () => {
+    press('ArrowRight');
+    expect(document.activeElement.id).toBe('c01');
+    press('ArrowDown');
+    expect(document.activeElement.id).toBe('c11');
+    press('ArrowLeft');
+    expect(document.activeElement.id).toBe('c10');
+    press('ArrowUp');
+    expect(document.activeElement.id).toBe('c00');
+    expect(grid.find('th#c00').prop('tabIndex')).toBe(0);
+  });
+  test('should stop at the edges of the grid', () => {
+    press('ArrowUp');
+    press('ArrowLeft');
+    expect(document.activeElement.id).toBe('c00');
+  });
+  test('should move focus within the row on Home and End', () => {
+    press('ArrowDown');
+    press('End');
+    expect(document.activeElement.id).toBe('c12');
+    press('Home');
+    expect(document.activeElement.id).toBe('c10');
+  });
+  test('should move focus within the grid on Control+Home and Control+End', () => {
+    press('End', true);
+    expect(document.activeElement.id).toBe('c32');
+    press('Home', true);
+    expect(document.activeElement.id).toBe('c00');
+  });
+  test('should move focus by page on PageUp and PageDown', () => {
+    press('PageDown');
+    expect(document.activeElement.id).toBe('c20');
+    press('PageDown');
+    expect(document.activeElement.id).toBe('c30');
+    press('PageUp');
+    expect(document.activeElement.id).toBe('c10');
+  });
+});
+
+describe('move', () => {
+  const bounds = {
+    cols: { first: 0, last: 6 },
+    rows: { first: 2, last: 7 },
+  };
+
+  test('should wrap to the previous row when moving left from the first column', () => {
+    expect(move(3, 0, 'left', bounds, { wrap: true })).toEqual({ col: 6, row: 2 });
+  });
+  test('should wrap to the first row when moving down from the last row', () => {
+    expect(move(7, 3, 'down', bounds, { wrap: true })).toEqual({ col: 3, row: 2 });
+  });
+  test('should stop at the edges when not wrapping', () => {
+    expect(move(3, 0, 'left', bounds)).toEqual({ col: 0, row: 3 });
+    expect(move(7, 3, 'down', bounds)).toEqual({ col: 3, row: 7 });
+  });
+});
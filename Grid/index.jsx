@@ -0,0 +1,270 @@
+/**
+ * @author H Robert King <hrobertking@cathmhaol.com>
+ * @class Grid
+ * @requires react
+ * @requires prop-types
+ * @see {@link https://www.w3.org/TR/wai-aria-practices/#grid}
+ *
+ * @description An interactive control which contains cells of tabular data arranged in rows and
+ * columns. Only one cell is in the tab sequence at a time; `ArrowUp`, `ArrowDown`, `ArrowLeft`,
+ * and `ArrowRight` move focus one cell, `Home` and `End` move focus to the first and last cell in
+ * the row, `Control+Home` and `Control+End` move focus to the first and last cell in the grid, and
+ * `PageUp` and `PageDown` move focus up and down the number of rows in `pageSize`.
+ *
+ * @param {string} id
+ * @param {string} label - the accessible name of the grid
+ * @param {number} [pageSize] - the number of rows moved by `PageUp` and `PageDown`; default is 10
+ * @param {boolean} [wrap] - whether or not focus wraps at the edges of the grid; default is false
+ *
+ * @example
+ * <Grid id="inventory" label="Inventory">
+ *   <GridRow>
+ *     <GridCell header>Item</GridCell>
+ *     <GridCell header>Quantity</GridCell>
+ *   </GridRow>
+ *   <GridRow>
+ *     <GridCell>Ion blaster</GridCell>
+ *     <GridCell>2</GridCell>
+ *   </GridRow>
+ * </Grid>
+ */
+
+import React, { Component } from 'react';
+import { PropTypes } from 'prop-types';
+import move from './move';
+import './style.css';
+
+/**
+ * @example
+ * <GridCell header>Item</GridCell>
+ * <GridCell>Ion blaster</GridCell>
+ */
+export class GridCell extends Component {
+  render() {
+    const {
+      children,
+      header,
+      ...rest
+    } = this.props;
+
+    if (header) {
+      return (
+        <th { ...rest } role='columnheader'>
+          {children}
+        </th>
+      );
+    }
+
+    return (
+      <td { ...rest } role='gridcell'>
+        {children}
+      </td>
+    );
+  }
+}
+GridCell.defaultProps = {
+  tabIndex: -1,
+};
+GridCell.propTypes = {
+  header: PropTypes.bool,
+  tabIndex: PropTypes.number,
+};
+
+/**
+ * @example
+ * <GridRow>
+ *   <GridCell>Ion blaster</GridCell>
+ *   <GridCell>2</GridCell>
+ * </GridRow>
+ */
+export class GridRow extends Component {
+  render() {
+    const {
+      active,
+      children,
+      ...rest
+    } = this.props;
+
+    let col = 0;
+
+    return (
+      <tr { ...rest } role='row'>
+        {
+          React.Children.map(children, (child) => {
+            const tabIndex = col === active ? 0 : -1;
+            col += 1;
+            return React.cloneElement(child, { tabIndex });
+          })
+        }
+      </tr>
+    );
+  }
+}
+GridRow.propTypes = {
+  active: PropTypes.number,
+};
+
+class Grid extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      col: 0,
+      row: 0,
+    };
+  }
+
+  /**
+   * @private
+   * @description The boundaries of the grid used to resolve motion
+   * @type {object}
+   */
+  get bounds() {
+    const rows = this.element ? this.element.rows : [];
+    const last = rows.length ? rows[this.state.row].cells.length - 1 : 0;
+
+    return {
+      cols: {
+        first: 0,
+        last,
+      },
+      rows: {
+        first: 0,
+        last: Math.max(rows.length - 1, 0),
+      },
+    };
+  }
+
+  /**
+   * @method focus
+   * @description Sets focus on the cell at the specified row and column, defaulting to the
+   * active cell
+   * @returns {undefined}
+   * @param {number} [row]
+   * @param {number} [col]
+   */
+  focus = (row = this.state.row, col = this.state.col) => {
+    const tr = this.element ? this.element.rows[row] : null;
+    const cell = tr ? tr.cells[Math.min(col, tr.cells.length - 1)] : null;
+
+    if (cell) {
+      this.setState({ col: cell.cellIndex, row });
+      cell.focus();
+    }
+  };
+
+  /**
+   * @private
+   * @description Makes the cell that receives focus, e.g., from a click, the active cell
+   * @returns {undefined}
+   * @param {event} e
+   */
+  onFocus = (e) => {
+    const {
+      target,
+    } = e;
+
+    const cell = target && target.closest ? target.closest('td, th') : null;
+    if (cell && this.element.contains(cell)) {
+      this.setState({ col: cell.cellIndex, row: cell.parentNode.rowIndex });
+    }
+  };
+
+  /**
+   * @private
+   * @description Handles the keydown event on a grid cell. The event handler must be bound to
+   * keydown, because some UA do not pass directional keys in keypress or keyup.
+   * @returns {undefined}
+   * @param {event} e
+   */
+  onKeyDown = (e) => {
+    const {
+      ctrlKey,
+      key,
+    } = e;
+
+    const directions = {
+      ArrowDown: 'down',
+      ArrowLeft: 'left',
+      ArrowRight: 'right',
+      ArrowUp: 'up',
+      End: ctrlKey ? 'last' : 'end',
+      Home: ctrlKey ? 'first' : 'home',
+      PageDown: 'pagedown',
+      PageUp: 'pageup',
+    };
+
+    if (directions[key]) {
+      e.preventDefault();
+
+      const {
+        col,
+        row,
+      } = move(this.state.row, this.state.col, directions[key], this.bounds, {
+        page: this.props.pageSize,
+        wrap: this.props.wrap,
+      });
+
+      this.focus(row, col);
+    }
+  };
+
+  /**
+   * @private
+   * @description Sets the DOM reference for event handlers
+   * @returns {undefined}
+   * @param {HTMLElement} node
+   */
+  setRef = (node) => {
+    if (node) {
+      this.element = node;
+    }
+  };
+
+  render() {
+    const {
+      children,
+      className,
+      label,
+      pageSize,
+      wrap,
+      ...rest
+    } = this.props;
+
+    let row = 0;
+
+    return (
+      <table
+        { ...rest }
+        aria-label={label}
+        className={`grid ${className || ''}`.trim()}
+        onFocus={this.onFocus}
+        onKeyDown={this.onKeyDown}
+        ref={this.setRef}
+        role='grid'
+      >
+        <tbody>
+          {
+            React.Children.map(children, (child) => {
+              const active = row === this.state.row ? this.state.col : -1;
+              row += 1;
+              return React.cloneElement(child, { active });
+            })
+          }
+        </tbody>
+      </table>
+    );
+  }
+}
+Grid.defaultProps = {
+  id: `grid-${(new Date()).getTime()}`,
+  pageSize: 10,
+  wrap: false,
+};
+Grid.propTypes = {
+  id: PropTypes.string.isRequired,
+  label: PropTypes.string.isRequired,
+  pageSize: PropTypes.number,
+  wrap: PropTypes.bool,
+};
+export default Grid;
@@ -0,0 +1,90 @@
+/**
+ * @author H Robert King <hrobertking@cathmhaol.com>
+ * @description Computes the cell that receives focus when moving in a two-dimensional grid, e.g.,
+ * the date table in the `Calendar` or a `Grid`. When `wrap` is set, moving left from the first
+ * column moves to the last column of the previous row, moving right from the last column moves to
+ * the first column of the next row, and moving past the first or last row moves to the opposite
+ * end; otherwise, the position stops at the edge of the grid.
+ *
+ * @returns {object} the `row` and `col` of the cell
+ * @param {number} row - starting row index
+ * @param {number} col - starting column index
+ * @param {string} direction - motion, i.e., 'down', 'end', 'first', 'home', 'last', 'left',
+ * 'pagedown', 'pageup', 'right', or 'up'
+ * @param {object} bounds - the `rows` and `cols` of the grid, each with a `first` and `last` index
+ * @param {object} [options]
+ * @param {number} [options.page] - the number of rows moved by 'pagedown' and 'pageup'; default is 1
+ * @param {boolean} [options.wrap] - whether or not the motion wraps at the edges; default is false
+ */
+export default function move(row, col, direction, bounds, options = {}) {
+  const {
+    cols,
+    rows,
+  } = bounds;
+
+  const {
+    page = 1,
+    wrap = false,
+  } = options;
+
+  let rowIndex = row;
+  let colIndex = col;
+
+  switch (direction) {
+    case 'down':
+      rowIndex += 1;
+      break;
+    case 'end':
+      colIndex = cols.last;
+      break;
+    case 'first':
+      rowIndex = rows.first;
+      colIndex = cols.first;
+      break;
+    case 'home':
+      colIndex = cols.first;
+      break;
+    case 'last':
+      rowIndex = rows.last;
+      colIndex = cols.last;
+      break;
+    case 'left':
+      colIndex -= 1;
+      if (wrap) {
+        rowIndex = row + Math.min(0, colIndex - cols.first);
+      }
+      break;
+    case 'pagedown':
+      rowIndex = Math.min(rowIndex + page, rows.last);
+      break;
+    case 'pageup':
+      rowIndex = Math.max(rowIndex - page, rows.first);
+      break;
+    case 'right':
+      colIndex += 1;
+      if (wrap) {
+        rowIndex = row + Math.max(0, colIndex - cols.last);
+      }
+      break;
+    case 'up':
+      rowIndex -= 1;
+      break;
+    default:
+  }
+
+  /* resolve an out-of-bounds attempt */
+  if (wrap) {
+    rowIndex = (rowIndex < rows.first) ? rows.last : rowIndex;
+    colIndex = (colIndex < cols.first) ? cols.last : colIndex;
+    rowIndex = (rowIndex > rows.last) ? rows.first : rowIndex;
+    colIndex = (colIndex > cols.last) ? cols.first : colIndex;
+  } else {
+    rowIndex = Math.min(Math.max(rowIndex, rows.first), rows.last);
+    colIndex = Math.min(Math.max(colIndex, cols.first), cols.last);
+  }
+
+  return {
+    col: colIndex,
+    row: rowIndex,
+  };
+}
@@ -0,0 +1,362 @@
+/**
+ * @author H Robert King <hrobertking@cathmhaol.com>
+ * @class Wizard
+ * @requires react
+ * @requires prop-types
+ *
+ * @description Pairs a `Journey` with the panels of a multi-step task. Only the panel of the
+ * current step is shown. Selecting 'Next' runs the `validate` function of the current step and
+ * only advances when it returns, or resolves to, a value other than `false`; a step that fails
+ * validation is shown with the 'error' status. When the step changes, focus is moved to the
+ * heading of the new step and the step is announced in a polite live region.
+ *
+ * @param {string} id
+ * @param {number} [index] - the index of the current step, starting at 1
+ * @param {string} label - the accessible name of the journey
+ * @param {object} [labels] - text that overrides the default text of the buttons and
+ * announcements, e.g., `{ next: 'Siguiente' }`; the `step` text replaces `{index}`, `{count}`,
+ * and `{label}`
+ * @param {number} [level] - the heading level of the step labels; default is 2
+ * @param {function} [onChange] - ECMAScript function to run when the step changes. Two arguments
+ * are passed into the `onChange` function: the index of the step and the Wizard instance.
+ * @param {function} [onComplete] - ECMAScript function to run when the last step is validated.
+ * The Wizard instance is passed into the `onComplete` function.
+ *
+ * @example
+ * <Wizard id="checkout" label="Checkout" onComplete={() => this.submit()}>
+ *   <WizardStep label="Billing Address" validate={() => this.billing.checkValidity()}>
+ *     <BillingForm ref={(node) => { this.billing = node; }} />
+ *   </WizardStep>
+ *   <WizardStep label="Shipping Address" validate={() => fetch('/address/verify').then(r => r.ok)}>
+ *     <ShippingForm />
+ *   </WizardStep>
+ *   <WizardStep label="Payment">
+ *     <PaymentForm />
+ *   </WizardStep>
+ * </Wizard>
+ */
+
+import React, { Component } from 'react';
+import { PropTypes } from 'prop-types';
+import Journey from './index';
+
+/**
+ * @private
+ * @description The default text of the buttons and announcements
+ * @type {object}
+ */
+const LABELS = {
+  back: 'Back',
+  finish: 'Finish',
+  next: 'Next',
+  step: 'Step {index} of {count}: {label}',
+};
+
+/**
+ * @example
+ * <WizardStep label="Shipping Address" validate={() => this.form.checkValidity()}>
+ *   <ShippingForm />
+ * </WizardStep>
+ */
+export class WizardStep extends Component {
+  render() {
+    const {
+      active,
+      children,
+      className,
+      id,
+      label,
+      level,
+      validate,
+      ...rest
+    } = this.props;
+
+    const Heading = `h${level || 2}`;
+
+    return (
+      <section
+        { ...rest }
+        aria-labelledby={`${id}-label`}
+        className={`wizard-step ${className || ''}`.trim()}
+        hidden={!active}
+        id={id}
+      >
+        <Heading className="label" id={`${id}-label`} tabIndex={-1}>{label}</Heading>
+        {children}
+      </section>
+    );
+  }
+}
+WizardStep.propTypes = {
+  active: PropTypes.bool,
+  id: PropTypes.string,
+  label: PropTypes.string.isRequired,
+  level: PropTypes.number,
+  validate: PropTypes.func,
+};
+
+class Wizard extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      busy: false,
+      errors: [],
+      index: props.index || 1,
+      message: '',
+    };
+  }
+
+  /**
+   * @private
+   * @description Runs when props are updated so the step can be controlled
+   * @returns {undefined}
+   * @param {object} props
+   */
+  componentWillReceiveProps(props) {
+    if (props.index && props.index !== this.props.index) {
+      this.setState({
+        index: props.index,
+        message: this.announcement(props.index, props),
+      });
+    }
+  }
+
+  componentDidUpdate(prevProps, prevState) {
+    if (prevState.index !== this.state.index) {
+      const heading = document.getElementById(`${this.props.id}-step-${this.state.index}-label`);
+
+      if (heading) {
+        heading.focus();
+      }
+    }
+  }
+
+  componentWillUnmount() {
+    this.unmounted = true;
+  }
+
+  /**
+   * @property count
+   * @description The number of steps
+   * @type {number}
+   */
+  get count() {
+    return this.steps.length;
+  }
+
+  /**
+   * @property index
+   * @description The index of the current step, starting at 1
+   * @type {number}
+   */
+  get index() {
+    return this.state.index;
+  }
+
+  /**
+   * @private
+   * @description The text of the buttons and announcements, i.e., the `labels` passed in merged over
+   * the defaults
+   * @type {object}
+   */
+  get labels() {
+    return Object.assign({}, LABELS, this.props.labels);
+  }
+
+  /**
+   * @private
+   * @description The steps of the wizard
+   * @type {object[]}
+   */
+  get steps() {
+    return React.Children.toArray(this.props.children).filter(child => child.type === WizardStep);
+  }
+
+  /**
+   * @private
+   * @description Returns the text announced when the step changes
+   * @returns {string}
+   * @param {number} index
+   * @param {object} [props]
+   */
+  announcement(index, props = this.props) {
+    const steps = React.Children.toArray(props.children).filter(child => child.type === WizardStep);
+    const step = steps[index - 1];
+
+    return step ?
+      Object.assign({}, LABELS, props.labels).step
+        .replace(/\{index\}/, index)
+        .replace(/\{count\}/, steps.length)
+        .replace(/\{label\}/, step.props.label) :
+      '';
+  }
+
+  /**
+   * @method back
+   * @description Returns to the previous step without validating the current step
+   * @returns {undefined}
+   */
+  back = () => {
+    if (!this.state.busy && this.state.index > 1) {
+      this.select(this.state.index - 1);
+    }
+  };
+
+  /**
+   * @method next
+   * @description Validates the current step and advances to the next step, or calls the
+   * `onComplete` handler when the current step is the last step. The promise resolves to whether or
+   * not the step was valid, and rejects with an error thrown by the `onChange` or `onComplete`
+   * handler.
+   * @returns {Promise}
+   */
+  next = () => {
+    const step = this.steps[this.state.index - 1];
+    const index = this.state.index;
+
+    if (this.state.busy || !step) {
+      return Promise.resolve(false);
+    }
+
+    const validate = step.props.validate || (() => true);
+    const done = (valid) => {
+      if (this.unmounted) {
+        return valid;
+      }
+
+      /* the user moved to another step while the step was validated */
+      if (this.state.index !== index) {
+        this.setState({ busy: false });
+        return false;
+      }
+
+      const errors = this.state.errors.slice();
+      errors[index - 1] = valid ? undefined : 'error';
+
+      this.setState({ busy: false, errors });
+
+      if (valid) {
+        if (index < this.count) {
+          this.select(index + 1);
+        } else if (this.props.onComplete) {
+          this.props.onComplete(this);
+        }
+      }
+      return valid;
+    };
+
+    this.setState({ busy: true });
+
+    return Promise.resolve()
+      .then(() => validate(this))
+      .then(result => result !== false, () => false)
+      .then(done);
+  };
+
+  /**
+   * @method select
+   * @description Changes the current step and calls the `onChange` handler
+   * @returns {undefined}
+   * @param {number} index - the index of the step, starting at 1
+   */
+  select = (index) => {
+    if (index < 1 || index > this.count || index === this.state.index) {
+      return;
+    }
+
+    this.setState({
+      index,
+      message: this.announcement(index),
+    });
+
+    if (this.props.onChange) {
+      this.props.onChange(index, this);
+    }
+  };
+
+  render() {
+    const {
+      children,
+      className,
+      id,
+      index,
+      label,
+      labels,
+      level,
+      onChange,
+      onComplete,
+      ...rest
+    } = this.props;
+
+    const {
+      busy,
+      errors,
+    } = this.state;
+
+    const steps = this.steps;
+    const last = this.state.index >= steps.length;
+    const text = this.labels;
+
+    return (
+      <div
+        { ...rest }
+        className={`wizard ${className || ''}`.trim()}
+        id={id}
+      >
+        <Journey
+          aria-label={label}
+          id={`${id}-journey`}
+          index={this.state.index}
+          onStepSelect={this.select}
+          statuses={errors}
+        >
+          {steps.map(step => <span key={step.key}>{step.props.label}</span>)}
+        </Journey>
+        {
+          steps.map((step, i) => React.cloneElement(step, {
+            active: i === this.state.index - 1,
+            id: `${id}-step-${i + 1}`,
+            level: step.props.level || level,
+          }))
+        }
+        <div className="controls">
+          {
+            this.state.index > 1 &&
+            <button className="back" onClick={this.back} type="button">{text.back}</button>
+          }
+          <button
+            aria-disabled={busy || undefined}
+            className="next"
+            onClick={this.next}
+            type="button"
+          >
+            {last ? text.finish : text.next}
+          </button>
+        </div>
+        <span aria-atomic="true" aria-live="polite" className="wizard-announcement" role="status">
+          {this.state.message}
+        </span>
+      </div>
+    );
+  }
+}
+Wizard.defaultProps = {
+  id: `wizard-${(new Date()).getTime()}`,
+  level: 2,
+};
+Wizard.propTypes = {
+  id: PropTypes.string.isRequired,
+  index: PropTypes.number,
+  label: PropTypes.string.isRequired,
+  labels: PropTypes.shape({
+    back: PropTypes.string,
+    finish: PropTypes.string,
+    next: PropTypes.string,
+    step: PropTypes.string,
+  }),
+  level: PropTypes.number,
+  onChange: PropTypes.func,
+  onComplete: PropTypes.func,
+};
+export default Wizard;
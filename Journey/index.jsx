@@ -4,9 +4,28 @@
  * @requires react
  * @requires prop-types
  *
- * @description Renders a group inside a container with the 'journey' class.
+ * @description Renders a group inside a container with the 'journey' class. Each step has a
+ * status of 'complete', 'current', 'upcoming', 'error', or 'skipped'. Steps before the `index` are
+ * complete, the step at the `index` is current, and the steps after the `index` are upcoming unless
+ * a different status is provided in `statuses`. When `onStepSelect` is provided, completed steps
+ * are rendered as buttons. When the container of the journey is narrower than `compactWidth`, the
+ * journey is collapsed to a summary of the current step, e.g., 'Step 3 of 5 — Payment', with a
+ * disclosure button that shows the full list. The container is measured again when it is resized,
+ * or, when `ResizeObserver` is not supported, when the window is resized.
  *
- * @param {number} index - the index of the active item.
+ * @param {string} [compactLabel] - the text of the summary; `{index}`, `{count}`, and `{label}`
+ * are replaced
+ * @param {number} [compactWidth] - the width, in pixels, below which the journey is compact;
+ * default is 480
+ * @param {string} [id] - the id of the list, referenced by the disclosure button of a compact
+ * journey
+ * @param {number} index - the index of the active item, starting at 1.
+ * @param {function} [onStepSelect] - ECMAScript function to run when a completed step is selected.
+ * The index of the selected step is passed into the `onStepSelect` function.
+ * @param {string[]} [statuses] - the status of each step, overriding the status derived from
+ * the `index`
+ * @param {object} [statusLabels] - the text read by assistive technology for each status
+ * @param {string} [orientation] - 'horizontal' or 'vertical'; default is 'horizontal'
  *
  * @example
  * <Journey aria-label="Journey" id="trail" index={2}>
@@ -14,62 +33,261 @@
  *   <div>Shipping Address</div>
  *   <div>Payment</div>
  * </Journey>
+ *
+ * @example
+ * <Journey
+ *   aria-label="Checkout"
+ *   id="checkout"
+ *   index={3}
+ *   onStepSelect={(index) => this.setState({ step: index })}
+ *   statuses={['complete', 'error']}
+ * >
+ *   <div>Billing Address</div>
+ *   <div>Shipping Address</div>
+ *   <div>Payment</div>
+ * </Journey>
+ *
+ * @example
+ * <Journey aria-label="Checkout" className="by-index" id="checkout" index={2} orientation="vertical">
+ *   <div>Billing Address</div>
+ *   <div>Shipping Address</div>
+ *   <div>Payment</div>
+ * </Journey>
  */
 
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
+import text from '../utils/text';
 import './style.css';
 
 class Journey extends Component {
   constructor(props) {
     super(props);
 
-    /* default the index to the last child */
-    const index = Number(props.index) || 0;
+    this.state = {
+      compact: false,
+      expanded: false,
+    };
+  }
 
-    let step = 1;
+  componentDidMount() {
+    const container = this.element ? this.element.parentNode : null;
 
-    this.steps = React.Children.map(props.children, (child) => {
-      const { props, type } = child;
+    this.measure();
+
+    /* a container can be resized without the window, e.g., by a sidebar that opens */
+    if (container && typeof ResizeObserver !== 'undefined') {
+      this.observer = new ResizeObserver(this.measure);
+      this.observer.observe(container);
+    } else {
+      window.addEventListener('resize', this.measure);
+    }
+  }
+
+  componentWillUnmount() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    window.removeEventListener('resize', this.measure);
+  }
+
+  /**
+   * @method status
+   * @description Returns the status of the step
+   * @returns {string}
+   * @param {number} step - the index of the step, starting at 1
+   */
+  status(step) {
+    const index = Number(this.props.index) || 0;
+    const statuses = this.props.statuses || [];
+
+    if (statuses[step - 1]) {
+      return statuses[step - 1];
+    }
+    if (step < index) {
+      return 'complete';
+    }
+    return step === index ? 'current' : 'upcoming';
+  }
+
+  /**
+   * @private
+   * @description Wraps the content of a completed step in a button when steps can be selected
+   * @returns {object} jsx
+   * @param {object} content
+   * @param {number} step
+   * @param {string} status
+   */
+  content(content, step, status) {
+    const {
+      onStepSelect,
+      statusLabels,
+    } = this.props;
+
+    const label = statusLabels[status] ?
+      <span className="status">{statusLabels[status]}</span> :
+      null;
+
+    if (onStepSelect && status === 'complete') {
+      return (
+        <button onClick={() => onStepSelect(step)} type="button">
+          {content}
+          {label}
+        </button>
+      );
+    }
 
-      const ariaCurrent = (index === step) ? 'page' : null;
+    return (
+      <React.Fragment>
+        {content}
+        {label}
+      </React.Fragment>
+    );
+  }
+
+  /**
+   * @private
+   * @description Switches to the compact journey when the container is narrower than the
+   * `compactWidth`
+   * @returns {undefined}
+   */
+  measure = () => {
+    const container = this.element ? this.element.parentNode : null;
+
+    if (container) {
+      const compact = container.clientWidth < this.props.compactWidth;
+      if (compact !== this.state.compact) {
+        this.setState({ compact, expanded: false });
+      }
+    }
+  };
+
+  /**
+   * @private
+   * @description Shows or hides the full list of a compact journey
+   * @returns {undefined}
+   */
+  onToggle = () => {
+    this.setState({ expanded: !this.state.expanded });
+  };
+
+  /**
+   * @private
+   * @description Sets the DOM reference used to measure the container
+   * @returns {undefined}
+   * @param {HTMLElement} node
+   */
+  setRef = (node) => {
+    if (node) {
+      this.element = node;
+    }
+  };
+
+  render() {
+    const {
+      children,
+      className,
+      compactLabel,
+      compactWidth,
+      id,
+      index,
+      onStepSelect,
+      orientation,
+      statuses,
+      statusLabels,
+      ...rest
+    } = this.props;
+
+    const {
+      compact,
+      expanded,
+    } = this.state;
+
+    let step = 0;
+
+    const steps = React.Children.map(children, (child) => {
+      const { props, type } = child;
 
       step += 1;
 
+      const status = this.status(step);
+      const attributes = {
+        'aria-current': step === Number(index) ? 'step' : null,
+        'data-index': step,
+        'data-status': status,
+      };
+
       /* if this is a list item, return it, otherwise, return a list item */
       if (typeof type !== 'function' && type === 'li') {
-        return React.cloneElement(child, {
-          'aria-current': ariaCurrent,
-          'data-index': step,
-        });
+        return React.cloneElement(child, attributes, this.content(props.children, step, status));
       }
 
       return (
-        <li
-          aria-current={ariaCurrent}
-          data-index={step}
-        >
-          {child}
+        <li { ...attributes }>
+          {this.content(child, step, status)}
         </li>
       );
     });
-  }
 
-  render() {
-    const {
-      props,
-    } = this;
+    /* a compact journey is always shown vertically when it is expanded */
+    const classes = `${className || ''} journey ${compact ? 'compact vertical' : orientation}`.trim();
+    const list = (
+      <ol
+        { ...rest }
+        className={classes}
+        hidden={compact && !expanded}
+        id={id}
+        ref={this.setRef}
+      >
+        {steps}
+      </ol>
+    );
+
+    if (!compact) {
+      return list;
+    }
 
-    const className = `${props.className || ''} journey`.trim();
+    const current = React.Children.toArray(children)[Number(index) - 1];
+    const summary = compactLabel
+      .replace(/\{index\}/, index)
+      .replace(/\{count\}/, step)
+      .replace(/\{label\}/, current ? text(current) : '');
 
     return (
-      <ol { ...props } className={className}>
-        {this.steps}
-      </ol>
+      <React.Fragment>
+        <button
+          aria-controls={id}
+          aria-expanded={expanded}
+          className="journey-summary"
+          onClick={this.onToggle}
+          type="button"
+        >
+          {summary}
+        </button>
+        {list}
+      </React.Fragment>
     );
   }
 }
+Journey.defaultProps = {
+  compactLabel: 'Step {index} of {count} — {label}',
+  compactWidth: 480,
+  orientation: 'horizontal',
+  statusLabels: {
+    complete: 'Completed',
+    error: 'Error',
+    skipped: 'Skipped',
+  },
+};
 Journey.propTypes = {
+  compactLabel: PropTypes.string,
+  compactWidth: PropTypes.number,
+  id: PropTypes.string,
   index: PropTypes.number,
+  onStepSelect: PropTypes.func,
+  orientation: PropTypes.oneOf(['horizontal', 'vertical']),
+  statuses: PropTypes.arrayOf(PropTypes.oneOf(['complete', 'current', 'upcoming', 'error', 'skipped'])),
+  statusLabels: PropTypes.object,
 };
 export default Journey;
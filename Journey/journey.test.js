@@ -0,0 +1,63 @@
+import { mount } from 'enzyme';
+import React from 'react';
+
+import Journey from './index';
+
+describe('Journey', () => {
+  const client = Object.getOwnPropertyDescriptor(Element.prototype, 'clientWidth');
+  let width;
+  let resize;
+
+  beforeEach(() => {
+    width = 800;
+    Object.defineProperty(Element.prototype, 'clientWidth', { configurable: true, get: () => width });
+    window.ResizeObserver = class {
+      constructor(callback) {
+        resize = callback;
+      }
+      disconnect() {
+        resize = null;
+      }
+      observe() {} // eslint-disable-line class-methods-use-this
+    };
+  });
+  afterEach(() => {
+    Object.defineProperty(Element.prototype, 'clientWidth', client);
+    delete window.ResizeObserver;
+  });
+
+  const render = props => mount(
+    <Journey index={2} {...props}>
+      <span>Billing</span>
+      <span>Shipping</span>
+      <span>Payment</span>
+    </Journey>,
+    { attachTo: document.body.appendChild(document.createElement('div')) }
+  );
+
+  test('should mark the steps with their status', () => {
+    const journey = render();
+    expect(journey.find('li[data-index=1]').prop('data-status')).toBe('complete');
+    expect(journey.find('li[data-index=2]').prop('aria-current')).toBe('step');
+    expect(journey.find('li[data-index=3]').prop('data-status')).toBe('upcoming');
+    journey.unmount();
+  });
+  test('should not render an id unless one is provided', () => {
+    const journey = render();
+    expect(journey.find('ol').prop('id')).toBeUndefined();
+    journey.unmount();
+  });
+  test('should become compact when the container is resized', () => {
+    const journey = render({ id: 'checkout' });
+    expect(journey.find('button.journey-summary').length).toBe(0);
+
+    width = 320;
+    resize();
+    journey.update();
+    expect(journey.find('button.journey-summary').text()).toBe('Step 2 of 3 — Shipping');
+    expect(journey.find('button.journey-summary').prop('aria-controls')).toBe('checkout');
+
+    journey.unmount();
+    expect(resize).toBeNull();
+  });
+});
@@ -0,0 +1,99 @@
+import { mount } from 'enzyme';
+import React from 'react';
+
+import Wizard, { WizardStep } from './Wizard';
+
+describe('Wizard', () => {
+  let onComplete;
+  let valid;
+  let wizard;
+
+  beforeEach(() => {
+    onComplete = jest.fn();
+    valid = true;
+    wizard = mount(
+      <Wizard id="checkout" label="Checkout" onComplete={onComplete}>
+        <WizardStep label="Billing" validate={() => valid}><p>Billing</p></WizardStep>
+        <WizardStep label="Shipping" validate={() => Promise.resolve(valid)}><p>Shipping</p></WizardStep>
+        <WizardStep label="Payment"><p>Payment</p></WizardStep>
+      </Wizard>,
+      { attachTo: document.body.appendChild(document.createElement('div')) }
+    );
+  });
+  afterEach(() => {
+    wizard.unmount();
+  });
+
+  const active = () => wizard.find('section.wizard-step').filterWhere(step => !step.prop('hidden'));
+
+  test('should only show the panel of the current step', () => {
+    wizard.update();
+    expect(active().length).toBe(1);
+    expect(active().prop('id')).toBe('checkout-step-1');
+  });
+  test('should not advance when validation fails', () => {
+    valid = false;
+    return wizard.instance().next().then((result) => {
+      wizard.update();
+      expect(result).toBe(false);
+      expect(wizard.instance().index).toBe(1);
+      expect(wizard.find('li[data-index=1]').prop('data-status')).toBe('error');
+    });
+  });
+  test('should advance after an asynchronous validation', () => wizard.instance().next()
+    .then(() => wizard.instance().next())
+    .then((result) => {
+      expect(result).toBe(true);
+      expect(wizard.instance().index).toBe(3);
+    }));
+  test('should ignore a validation that ends after the user moved to another step', () => {
+    wizard.instance().select(2);
+    const pending = wizard.instance().next();
+    wizard.instance().select(1);
+    return pending.then((result) => {
+      expect(result).toBe(false);
+      expect(wizard.instance().index).toBe(1);
+    });
+  });
+  test('should focus the heading of the new step and announce it', () => wizard.instance().next()
+    .then(() => {
+      wizard.update();
+      expect(document.activeElement.id).toBe('checkout-step-2-label');
+      expect(wizard.find('.wizard-announcement').text()).toBe('Step 2 of 3: Shipping');
+    }));
+  test('should call onComplete when the last step is valid', () => {
+    wizard.instance().select(3);
+    return wizard.instance().next().then(() => {
+      expect(onComplete).toHaveBeenCalledWith(wizard.instance());
+    });
+  });
+  test('should reject when onComplete throws', () => {
+    onComplete.mockImplementation(() => {
+      throw new Error('failed');
+    });
+    wizard.instance().select(3);
+    return expect(wizard.instance().next()).rejects.toThrow('failed');
+  });
+});
+
+describe('Wizard labels', () => {
+  test('should merge the labels passed in over the defaults', () => {
+    const wizard = mount(
+      <Wizard id="1-checkout" label="Checkout" labels={{ next: 'Siguiente' }}>
+        <WizardStep label="Billing"><p>Billing</p></WizardStep>
+        <WizardStep label="Shipping"><p>Shipping</p></WizardStep>
+      </Wizard>,
+      { attachTo: document.body.appendChild(document.createElement('div')) }
+    );
+
+    expect(wizard.find('button.next').text()).toBe('Siguiente');
+    return wizard.instance().next().then(() => {
+      wizard.update();
+      expect(wizard.instance().index).toBe(2);
+      expect(wizard.find('button.back').text()).toBe('Back');
+      expect(wizard.find('button.next').text()).toBe('Finish');
+      expect(wizard.find('.wizard-announcement').text()).toBe('Step 2 of 2: Shipping');
+      wizard.unmount();
+    });
+  });
+});
@@ -15,6 +15,14 @@ import React, { Component } from 'react';
 import { PropTypes } from 'prop-types';
 import './style.css';
 
+/**
+ * @private
+ * @description The controls that can receive focus in a submenu item, e.g., the checkbox or slider
+ * of a `Toolbar` control moved into its overflow menu
+ * @type {string}
+ */
+const FOCUSABLE = 'a[href], button, input, select, textarea, [tabindex]';
+
 /**
  * @example
  * <SubMenu label="Space Bears">
@@ -84,14 +92,7 @@ export class SubMenu extends Component {
    * @returns {undefined}
    */
   first = () => {
-    const items = this.items;
-    if (items.length) {
-      const target = items[0].querySelectorAll('a, button');
-
-      if (target) {
-        target.item(0).focus();
-      }
-    }
+    this.select(0);
   };
 
   /**
@@ -112,14 +113,7 @@ export class SubMenu extends Component {
    * @returns {undefined}
    */
   last = () => {
-    const items = this.items;
-    if (items.length) {
-      const target = items[items.length - 1].querySelectorAll('a, button');
-
-      if (target) {
-        target.item(0).focus();
-      }
-    }
+    this.select(this.items.length - 1, -1);
   };
 
   /**
@@ -142,7 +136,7 @@ export class SubMenu extends Component {
   prev = () => {
     const i = this.activeIndex;
     if (i || i === 0) {
-      this.select(i - 1);
+      this.select(i - 1, -1);
     }
   };
 
@@ -172,20 +166,30 @@ export class SubMenu extends Component {
 
   /**
    * @private
-   * @description Sets focus on the specified list item in the menu
+   * @description Sets focus on the specified list item in the menu, wrapping at either end. A list
+   * item without a focusable control is skipped in the direction of the `step`.
    * @returns {undefined}
+   * @param {number} ndx
+   * @param {number} [step] - 1 to skip forward or -1 to skip backward; default is 1
    */
-  select = (ndx) => {
-    const lastIndex = this.items.length - 1;
-    const i = ndx < 0 ?
-      lastIndex :
-      ndx > lastIndex ?
-        0 :
-        ndx;
-
-    const content = this.items[i].querySelectorAll('a, button');
-    if (content) {
-      content.item(0).focus();
+  select = (ndx, step = 1) => {
+    const items = this.items;
+    const lastIndex = items.length - 1;
+    let i = ndx;
+
+    for (let tries = 0; tries < items.length; tries += 1) {
+      i = i < 0 ?
+        lastIndex :
+        i > lastIndex ?
+          0 :
+          i;
+
+      const content = items[i].querySelector(FOCUSABLE);
+      if (content) {
+        content.focus();
+        return;
+      }
+      i += step;
     }
   };
 
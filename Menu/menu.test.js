@@ -0,0 +1,59 @@
+import { mount } from 'enzyme';
+import React from 'react';
+
+import { MenuItem, SubMenu } from './index';
+
+describe('SubMenu', () => {
+  let submenu;
+
+  beforeEach(() => {
+    submenu = mount(
+      <ul>
+        <SubMenu id="bears" label="Space Bears">
+          <MenuItem href="/spacebear1" id="bear1" label="Space Bear 1" />
+          <li className="menuitem">Coming soon</li>
+          <MenuItem action={() => null} id="bear3" label="Space Bear 3" />
+          <li className="menuitem"><label><input id="notify" type="checkbox" /> Notify me</label></li>
+        </SubMenu>
+      </ul>,
+      { attachTo: document.body.appendChild(document.createElement('div')) }
+    );
+  });
+  afterEach(() => {
+    submenu.unmount();
+  });
+
+  const press = (key) => {
+    submenu.find('ul#bears').simulate('keydown', { key });
+  };
+
+  test('should open and focus the first item on ArrowDown', () => {
+    document.getElementById('bears-controller').focus();
+    submenu.find('button#bears-controller').simulate('keydown', { key: 'ArrowDown' });
+    expect(submenu.find('button#bears-controller').prop('aria-expanded')).toBe(true);
+    expect(document.activeElement.getAttribute('href')).toBe('/spacebear1');
+  });
+  test('should focus the first and last item on Home and End', () => {
+    document.getElementById('bears-controller').focus();
+    submenu.find('button#bears-controller').simulate('keydown', { key: 'End' });
+    expect(document.activeElement.id).toBe('notify');
+    press('Home');
+    expect(document.activeElement.getAttribute('href')).toBe('/spacebear1');
+  });
+  test('should skip an item without a focusable control on ArrowDown and ArrowUp', () => {
+    document.getElementById('bears-controller').focus();
+    submenu.find('button#bears-controller').simulate('keydown', { key: 'ArrowDown' });
+    press('ArrowDown');
+    expect(document.activeElement.textContent).toBe('Space Bear 3');
+    press('ArrowUp');
+    expect(document.activeElement.getAttribute('href')).toBe('/spacebear1');
+  });
+  test('should wrap at either end of the submenu', () => {
+    document.getElementById('bears-controller').focus();
+    submenu.find('button#bears-controller').simulate('keydown', { key: 'ArrowDown' });
+    press('ArrowUp');
+    expect(document.activeElement.id).toBe('notify');
+    press('ArrowDown');
+    expect(document.activeElement.getAttribute('href')).toBe('/spacebear1');
+  });
+});
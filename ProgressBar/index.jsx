@@ -4,53 +4,391 @@
  * @requires react
  * @requires prop-types
  *
- * @description Renders a group inside a container with the 'progressbar' class.
+ * @description Renders a group inside a container with the 'progressbar' class. When `value` is
+ * not provided, or `indeterminate` is set, the progress bar is indeterminate and does not have an
+ * `aria-valuenow`.
  *
- * @param {number} index - the index of the active item as an offset from the end.
+ * @param {boolean} [announce] - whether or not milestones are announced in a polite live region
+ * @param {number} [buffer] - a secondary value, e.g., the amount of a video that has loaded
+ * @param {function} [format] - ECMAScript function that returns the `aria-valuetext`. Three
+ * arguments are passed into the `format` function: the value, the minimum, and the maximum.
+ * @param {boolean} [indeterminate] - whether or not the progress is unknown
+ * @param {number} [interval] - the minimum number of milliseconds between announcements; when
+ * provided, the progress is announced at this interval instead of at the `thresholds`
+ * @param {string} [lang] - the BCP-47 language code of the announcements; default is 'en'
+ * @param {number} [max] - the maximum value represented; default is 100
+ * @param {number} [min] - the minimum value represented; default is 0
+ * @param {number} [steps] - the number of segments in a segmented progress bar; default is the
+ * range between `min` and `max` when it is a whole number no greater than 20, otherwise 10
+ * @param {number[]} [thresholds] - the percents announced; default is 25, 50, and 75
+ * @param {number} [value] - the current value
+ * @param {string} [variant] - 'bar', 'circular', or 'segmented'; default is 'bar'
  *
  * @example
  * <ProgressBar max={10} min={0} value={3}>
  *   30 percent complete
  * </ProgressBar>
+ *
+ * @example
+ * <ProgressBar
+ *   aria-label="Loading video"
+ *   buffer={42}
+ *   format={(value, min, max) => `${value} of ${max} seconds`}
+ *   max={120}
+ *   value={17}
+ * />
+ *
+ * @example
+ * <ProgressBar
+ *   aria-label="Uploads"
+ *   format={(value, min, max) => `${value} of ${max} uploads complete`}
+ *   max={7}
+ *   value={3}
+ *   variant="segmented"
+ * />
+ *
+ * @example
+ * <ProgressBar announce aria-label="Upload" lang="es" thresholds={[10, 50, 90]} value={17} />
  */
 
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
+import LABELS from './lang.js';
+import './style.css';
+
+/**
+ * @private
+ * @description The circumference of the circle in a circular progress bar, whose radius is 16
+ * units in a 36 unit `viewBox`
+ * @type {number}
+ */
+const CIRCUMFERENCE = 2 * Math.PI * 16;
+
+/**
+ * @private
+ * @description The largest range shown with a segment for each step when `steps` is not provided
+ * @type {number}
+ */
+const MAX_STEPS = 20;
+
+/**
+ * @private
+ * @description The number of segments when `steps` is not provided and the range is too large, or
+ * is not a whole number, e.g., the default range of 0 to 100
+ * @type {number}
+ */
+const STEPS = 10;
 
 class ProgressBar extends Component {
+  constructor(props) {
+    super(props);
+
+    this.milestone = -1;
+
+    this.state = {
+      message: '',
+    };
+  }
+
+  componentDidUpdate(prevProps) {
+    if (this.props.announce && prevProps.value !== this.props.value) {
+      this.announce();
+    }
+  }
+
+  componentWillUnmount() {
+    clearTimeout(this.timer);
+  }
+
+  /**
+   * @property lang
+   * @description The BCP-47 code to be used. Default is 'en'.
+   * @type {string}
+   */
+  get lang() {
+    const lang = this.props.lang || 'en';
+    const [language] = lang.split('-');
+
+    if (LABELS.hasOwnProperty(lang)) {
+      return lang;
+    } else if (LABELS.hasOwnProperty(language)) {
+      return language;
+    }
+    return 'en';
+  }
+
+  /**
+   * @property indeterminate
+   * @description Whether or not the progress is unknown
+   * @type {boolean}
+   */
+  get indeterminate() {
+    const {
+      indeterminate,
+      value,
+    } = this.props;
+
+    return !!indeterminate || value === null || typeof value === 'undefined' ||
+      Number.isNaN(Number(value));
+  }
+
+  /**
+   * @private
+   * @description Returns the percent of the range represented by the value
+   * @returns {number}
+   * @param {number} value
+   */
+  percent(value) {
+    const max = Number(this.props.max);
+    const min = Number(this.props.min);
+    const range = max - min;
+    const percent = range > 0 ? ((Number(value) - min) / range) * 100 : 0;
+
+    return Math.min(Math.max(percent, 0), 100);
+  }
+
+  /**
+   * @private
+   * @description Announces progress in the live region. When an `interval` is provided, the latest
+   * progress is announced at most once per interval; otherwise, the highest threshold crossed
+   * since the last announcement is announced. Completion is always announced. Only forward
+   * progress is announced until the value drops below the last threshold reached.
+   * @returns {undefined}
+   */
+  announce = () => {
+    if (this.indeterminate) {
+      return;
+    }
+
+    const {
+      interval,
+      thresholds,
+    } = this.props;
+
+    const labels = LABELS[this.lang];
+    const percent = Math.floor(this.percent(this.props.value));
+    const say = (message) => {
+      this.announced = Date.now();
+      this.setState({ message });
+    };
+
+    clearTimeout(this.timer);
+
+    /* start over if the progress went back past a threshold, e.g., a retried upload */
+    const reached = thresholds.filter(t => t <= this.milestone);
+    if (percent < Math.max.apply(null, [0].concat(reached))) {
+      this.milestone = -1;
+    }
+
+    if (percent >= 100) {
+      if (this.milestone < 100) {
+        this.milestone = 100;
+        say(labels.done);
+      }
+    } else if (interval) {
+      const wait = interval - (Date.now() - (this.announced || 0));
+      if (percent > this.milestone) {
+        if (wait > 0) {
+          this.timer = setTimeout(this.announce, wait);
+        } else {
+          this.milestone = percent;
+          say(labels.complete.replace(/\{percent\}/, percent));
+        }
+      }
+    } else {
+      const crossed = thresholds.filter(t => t <= percent && t > this.milestone);
+      if (crossed.length) {
+        this.milestone = Math.max.apply(null, crossed);
+        say(labels.complete.replace(/\{percent\}/, this.milestone));
+      }
+    }
+  };
+
+  /**
+   * @private
+   * @description Renders the fill of a bar, including the buffered value
+   * @returns {object} jsx
+   * @param {number} now
+   */
+  renderBar(now) {
+    const {
+      buffer,
+      children,
+    } = this.props;
+
+    const unknown = this.indeterminate;
+
+    return (
+      <React.Fragment>
+        {
+          !unknown && buffer !== null && typeof buffer !== 'undefined' &&
+          <div
+            className="buffer"
+            style={{
+              width: `${this.percent(buffer)}%`,
+            }}
+          />
+        }
+        <div
+          className="value"
+          style={unknown ? undefined : {
+            width: `${this.percent(now)}%`,
+          }}
+        >{children}</div>
+      </React.Fragment>
+    );
+  }
+
+  /**
+   * @private
+   * @description Renders the ring of a circular progress bar
+   * @returns {object} jsx
+   * @param {number} now
+   */
+  renderCircular(now) {
+    const {
+      children,
+    } = this.props;
+
+    const percent = this.indeterminate ? 25 : this.percent(now);
+
+    return (
+      <React.Fragment>
+        <svg aria-hidden="true" focusable="false" viewBox="0 0 36 36">
+          <circle className="track" cx="18" cy="18" r="16" />
+          <circle
+            className="value"
+            cx="18"
+            cy="18"
+            r="16"
+            strokeDasharray={CIRCUMFERENCE}
+            strokeDashoffset={CIRCUMFERENCE * (1 - (percent / 100))}
+          />
+        </svg>
+        {children && <span className="label">{children}</span>}
+      </React.Fragment>
+    );
+  }
+
+  /**
+   * @private
+   * @description Renders the discrete steps of a segmented progress bar
+   * @returns {object} jsx
+   * @param {number} now
+   */
+  renderSegmented(now) {
+    const {
+      children,
+      max,
+      min,
+      steps,
+    } = this.props;
+
+    const range = max - min;
+    let count = STEPS;
+
+    if (Number(steps)) {
+      count = Math.max(Math.round(Number(steps)), 1);
+    } else if (Number.isInteger(range) && range > 0 && range <= MAX_STEPS) {
+      count = range;
+    }
+
+    const complete = this.indeterminate ? 0 : Math.floor((count * this.percent(now)) / 100);
+    const segments = [];
+
+    for (let c = 0; c < count; c += 1) {
+      segments.push(
+        <span className={`segment ${c < complete ? 'complete' : ''}`.trim()} key={c} />,
+      );
+    }
+
+    return (
+      <React.Fragment>
+        <span className="segments">{segments}</span>
+        {children && <span className="label">{children}</span>}
+      </React.Fragment>
+    );
+  }
+
   render() {
     const {
+      announce,
+      buffer,
       children,
+      className,
+      format,
+      indeterminate,
+      interval,
+      lang,
       max,
       min,
+      steps,
+      thresholds,
       value,
+      variant,
+      ...rest
     } = this.props;
 
-    const range = max - min;
-    const percent = Math.min(Math.floor(Math.abs(range ? value / range : 0)), 100);
+    const unknown = this.indeterminate;
+    const now = unknown ? undefined : Math.min(Math.max(Number(value), min), max);
+    const classes = `progressbar ${variant} ${unknown ? 'indeterminate' : ''} ${className || ''}`
+      .replace(/\s{2,}/g, ' ').trim();
+
+    let content;
+    switch (variant) {
+      case 'circular':
+        content = this.renderCircular(now);
+        break;
+      case 'segmented':
+        content = this.renderSegmented(now);
+        break;
+      default:
+        content = this.renderBar(now);
+    }
 
+    /* the live region is a sibling because the children of a progressbar are presentational */
     return (
-      <div className="progressbar">
+      <React.Fragment>
         <div
+          { ...rest }
           aria-valuemax={max}
           aria-valuemin={min}
-          aria-valuenow={value}
-          className="progressbar value"
+          aria-valuenow={now}
+          aria-valuetext={!unknown && format ? format(now, min, max) : undefined}
+          className={classes}
           role="progressbar"
-          style={{
-            width: `${percent}%`,
-          }}
-        >{children}</div>
-      </div>
+        >
+          {content}
+        </div>
+        {
+          announce &&
+          <span aria-atomic="true" aria-live="polite" className="progressbar-announcement" role="status">
+            {this.state.message}
+          </span>
+        }
+      </React.Fragment>
     );
   }
 }
-ProgressBar.defaultValues = {
-  max: 0,
+ProgressBar.defaultProps = {
+  lang: 'en',
+  max: 100,
   min: 0,
-  value: 0,
+  thresholds: [25, 50, 75],
+  variant: 'bar',
 };
 ProgressBar.propTypes = {
-  index: PropTypes.number,
+  announce: PropTypes.bool,
+  buffer: PropTypes.number,
+  format: PropTypes.func,
+  indeterminate: PropTypes.bool,
+  interval: PropTypes.number,
+  lang: PropTypes.string,
+  max: PropTypes.number,
+  min: PropTypes.number,
+  steps: PropTypes.number,
+  thresholds: PropTypes.arrayOf(PropTypes.number),
+  value: PropTypes.number,
+  variant: PropTypes.oneOf(['bar', 'circular', 'segmented']),
 };
 export default ProgressBar;
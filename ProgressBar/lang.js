@@ -0,0 +1,23 @@
+/**
+ * @author H Robert King <hrobertking@cathmhaol.com>
+ * @description Language pack for the progress bar announcements. The keyword `{percent}` is
+ * replaced with the percent complete.
+ *
+ * @type {object}
+ * @property {object} (*) - BCP-47 code
+ * @property {string} (*).name - language name, e.g., English or Español
+ * @property {string} (*).complete - {percent}% complete
+ * @property {string} (*).done - Done
+ */
+export default {
+  en: {
+    name: 'English',
+    complete: '{percent}% complete',
+    done: 'Done',
+  },
+  es: {
+    name: 'Español',
+    complete: '{percent}% completado',
+    done: 'Terminado',
+  },
+};
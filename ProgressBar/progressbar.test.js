@@ -0,0 +1,230 @@
+import { mount } from 'enzyme';
+import React from 'react';
+
+import ProgressBar from './index';
+
+describe('ProgressBar', () => {
+  let progress;
+
+  afterEach(() => {
+    progress.unmount();
+  });
+
+  const bar = () => progress.find('[role="progressbar"]');
+  const width = selector => progress.find(selector).prop('style').width;
+
+  test('should fill the percent of the range between min and max', () => {
+    progress = mount(<ProgressBar max={20} min={10} value={15} />);
+
+    expect(bar().prop('aria-valuemin')).toBe(10);
+    expect(bar().prop('aria-valuemax')).toBe(20);
+    expect(bar().prop('aria-valuenow')).toBe(15);
+    expect(width('.value')).toBe('50%');
+  });
+  test('should keep the value between min and max', () => {
+    progress = mount(<ProgressBar value={140} />);
+    expect(bar().prop('aria-valuenow')).toBe(100);
+    expect(width('.value')).toBe('100%');
+
+    progress.setProps({ value: -5 });
+    expect(bar().prop('aria-valuenow')).toBe(0);
+    expect(width('.value')).toBe('0%');
+  });
+  test('should format the aria-valuetext', () => {
+    const format = jest.fn((value, min, max) => `${value} of ${max} seconds`);
+    progress = mount(<ProgressBar format={format} max={120} value={17} />);
+
+    expect(format).toHaveBeenCalledWith(17, 0, 120);
+    expect(bar().prop('aria-valuetext')).toBe('17 of 120 seconds');
+  });
+  test('should not have a value when it is indeterminate', () => {
+    const format = jest.fn(() => 'Loading');
+    progress = mount(<ProgressBar aria-label="Connecting" buffer={50} format={format} />);
+
+    expect(bar().hasClass('indeterminate')).toBe(true);
+    expect(bar().prop('aria-valuenow')).toBeUndefined();
+    expect(bar().prop('aria-valuetext')).toBeUndefined();
+    expect(format).not.toHaveBeenCalled();
+    expect(progress.find('.value').prop('style')).toBeUndefined();
+    expect(progress.find('.buffer').length).toBe(0);
+
+    progress.setProps({ indeterminate: true, value: 30 });
+    expect(bar().prop('aria-valuenow')).toBeUndefined();
+
+    progress.setProps({ indeterminate: false });
+    expect(bar().prop('aria-valuenow')).toBe(30);
+    expect(bar().hasClass('indeterminate')).toBe(false);
+  });
+  test('should fill the buffered value behind the value', () => {
+    progress = mount(<ProgressBar buffer={42} max={120} value={18} />);
+
+    expect(width('.buffer')).toBe('35%');
+    expect(width('.value')).toBe('15%');
+    expect(progress.find('.buffer + .value').length).toBe(1);
+  });
+});
+
+describe('ProgressBar variants', () => {
+  let progress;
+
+  afterEach(() => {
+    progress.unmount();
+  });
+
+  const bar = () => progress.find('[role="progressbar"]');
+  const segments = () => progress.find('.segment').map(segment => segment.hasClass('complete'));
+
+  test('should draw the value as a ring in a circular progress bar', () => {
+    progress = mount(<ProgressBar value={25} variant="circular">25%</ProgressBar>);
+    const ring = progress.find('circle.value');
+    const circumference = ring.prop('strokeDasharray');
+
+    expect(bar().hasClass('circular')).toBe(true);
+    expect(bar().prop('aria-valuenow')).toBe(25);
+    expect(progress.find('svg').prop('aria-hidden')).toBe('true');
+    expect(ring.prop('strokeDashoffset')).toBeCloseTo(circumference * 0.75);
+    expect(progress.find('.label').text()).toBe('25%');
+  });
+  test('should draw a segment of the ring when a circular progress bar is indeterminate', () => {
+    progress = mount(<ProgressBar variant="circular" />);
+    const ring = progress.find('circle.value');
+
+    expect(bar().prop('aria-valuenow')).toBeUndefined();
+    expect(ring.prop('strokeDashoffset')).toBeCloseTo(ring.prop('strokeDasharray') * 0.75);
+    expect(progress.find('.label').length).toBe(0);
+  });
+  test('should show a segment for each step of a small range', () => {
+    progress = mount(<ProgressBar max={7} value={3} variant="segmented" />);
+
+    expect(bar().hasClass('segmented')).toBe(true);
+    expect(bar().prop('aria-valuenow')).toBe(3);
+    expect(segments()).toEqual([true, true, true, false, false, false, false]);
+  });
+  test('should show ten segments for a large range unless steps is provided', () => {
+    progress = mount(<ProgressBar value={45} variant="segmented" />);
+    expect(segments().length).toBe(10);
+    expect(segments().filter(complete => complete).length).toBe(4);
+
+    progress.setProps({ steps: 4 });
+    expect(segments()).toEqual([true, false, false, false]);
+  });
+  test('should not complete any segments when it is indeterminate', () => {
+    progress = mount(<ProgressBar max={5} variant="segmented" />);
+    expect(segments()).toEqual([false, false, false, false, false]);
+  });
+});
+
+describe('ProgressBar announcements', () => {
+  let now;
+  let progress;
+
+  beforeEach(() => {
+    now = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.useFakeTimers();
+  });
+  afterEach(() => {
+    /* some tests unmount the progress bar themselves */
+    if (progress.length) {
+      progress.unmount();
+    }
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const message = () => progress.find('.progressbar-announcement').text();
+  const update = (value) => {
+    progress.setProps({ value });
+    progress.update();
+  };
+  const wait = (ms) => {
+    now += ms;
+    jest.advanceTimersByTime(ms);
+    progress.update();
+  };
+
+  test('should only render a live region when announce is set', () => {
+    progress = mount(<ProgressBar value={10} />);
+    expect(progress.find('.progressbar-announcement').length).toBe(0);
+
+    progress.setProps({ announce: true });
+    expect(progress.find('[aria-live="polite"]').length).toBe(1);
+  });
+  test('should announce the highest threshold crossed and completion', () => {
+    progress = mount(<ProgressBar announce value={0} />);
+
+    update(20);
+    expect(message()).toBe('');
+    update(30);
+    expect(message()).toBe('25% complete');
+    update(40);
+    expect(message()).toBe('25% complete');
+    update(80);
+    expect(message()).toBe('75% complete');
+    update(100);
+    expect(message()).toBe('Done');
+  });
+  test('should announce in the language and at the thresholds provided', () => {
+    progress = mount(<ProgressBar announce lang="es-MX" thresholds={[10, 50, 90]} value={0} />);
+
+    update(12);
+    expect(message()).toBe('10% completado');
+    update(100);
+    expect(message()).toBe('Terminado');
+  });
+  test('should start over only when the value drops below the last threshold reached', () => {
+    progress = mount(<ProgressBar announce value={0} />);
+
+    update(60);
+    expect(message()).toBe('50% complete');
+    update(55);
+    update(60);
+    expect(message()).toBe('50% complete');
+
+    update(10);
+    update(30);
+    expect(message()).toBe('25% complete');
+  });
+  test('should announce at most once per interval', () => {
+    progress = mount(<ProgressBar announce interval={1000} value={0} />);
+
+    now = 5000;
+    update(10);
+    expect(message()).toBe('10% complete');
+    wait(400);
+    update(20);
+    update(30);
+    expect(message()).toBe('10% complete');
+
+    wait(600);
+    expect(message()).toBe('30% complete');
+  });
+  test('should not announce a small step back in an interval', () => {
+    progress = mount(<ProgressBar announce interval={1000} value={0} />);
+
+    now = 5000;
+    update(40);
+    wait(1000);
+    update(39);
+    wait(1000);
+    expect(message()).toBe('40% complete');
+
+    /* a drop below a threshold, e.g., a retried upload, is announced */
+    update(5);
+    expect(message()).toBe('5% complete');
+  });
+  test('should clear a pending announcement on unmount', () => {
+    progress = mount(<ProgressBar announce interval={1000} value={0} />);
+
+    now = 5000;
+    update(10);
+    update(20);
+    jest.spyOn(console, 'error');
+    progress.unmount();
+
+    /* a timer left running would set the state of the unmounted progress bar */
+    now += 1000;
+    jest.runOnlyPendingTimers();
+    expect(console.error).not.toHaveBeenCalled();
+  });
+});
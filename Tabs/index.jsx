@@ -0,0 +1,330 @@
+/**
+ * @author H Robert King <hrobertking@cathmhaol.com>
+ * @class Tabs
+ * @requires react
+ * @requires prop-types
+ * @see {@link https://www.w3.org/TR/wai-aria-practices/#tabpanel}
+ *
+ * @description A set of layered sections of content, known as tab panels, that display one panel
+ * of content at a time. Each `Tab` child is paired with the `TabPanel` child in the same position,
+ * i.e., the first `Tab` controls the first `TabPanel`. Only the selected tab is in the tab
+ * sequence; the arrow keys, `Home`, and `End` move focus between the tabs.
+ *
+ * @param {string} [activation] - 'automatic' selects a tab when it receives focus, 'manual'
+ * selects a tab when it is activated using `Enter`, `Space`, or a click; default is 'automatic'
+ * @param {string} id
+ * @param {number} [index] - the index of the selected tab; default is 0
+ * @param {string} label - the accessible name of the tablist
+ * @param {function} [onChange] - ECMAScript function to run when the selected tab is changed. Two
+ * arguments are passed into the `onChange` function: the index of the selected tab and the Tabs
+ * instance.
+ * @param {string} [orientation] - 'horizontal' or 'vertical'; default is 'horizontal'
+ *
+ * @example
+ * <Tabs id="planets" label="Inner planets" onChange={(index, tabs) => console.log(index)}>
+ *   <Tab>Mercury</Tab>
+ *   <Tab>Venus</Tab>
+ *   <TabPanel>
+ *     <p>Mercury is the smallest planet in the Solar System.</p>
+ *   </TabPanel>
+ *   <TabPanel>
+ *     <p>Venus is the second planet from the Sun.</p>
+ *   </TabPanel>
+ * </Tabs>
+ */
+
+import React, { Component } from 'react';
+import { PropTypes } from 'prop-types';
+import './style.css';
+
+/**
+ * @example
+ * <Tab>Mercury</Tab>
+ */
+export class Tab extends Component {
+  render() {
+    const {
+      children,
+      selected,
+      ...rest
+    } = this.props;
+
+    return (
+      <button
+        { ...rest }
+        aria-selected={!!selected}
+        className='tab'
+        role='tab'
+        tabIndex={selected ? 0 : -1}
+        type='button'
+      >
+        {children}
+      </button>
+    );
+  }
+}
+Tab.propTypes = {
+  selected: PropTypes.bool,
+};
+
+/**
+ * @example
+ * <TabPanel>
+ *   <p>Mercury is the smallest planet in the Solar System.</p>
+ * </TabPanel>
+ */
+export class TabPanel extends Component {
+  render() {
+    const {
+      children,
+      selected,
+      ...rest
+    } = this.props;
+
+    return (
+      <div
+        { ...rest }
+        className='tabpanel'
+        hidden={!selected}
+        role='tabpanel'
+        tabIndex={0}
+      >
+        {children}
+      </div>
+    );
+  }
+}
+TabPanel.propTypes = {
+  selected: PropTypes.bool,
+};
+
+class Tabs extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      index: Number(props.index) || 0,
+    };
+  }
+
+  /**
+   * @private
+   * @description Runs when props are updated so the selected tab can be controlled
+   * @returns {undefined}
+   * @param {object} props
+   */
+  componentWillReceiveProps(props) {
+    const index = Number(props.index);
+    if (!Number.isNaN(index) && index !== this.props.index) {
+      this.setState({ index });
+    }
+  }
+
+  /**
+   * @property index
+   * @description The index of the selected tab
+   * @type {number}
+   */
+  get index() {
+    return this.state.index;
+  }
+
+  /**
+   * @private
+   * @description The tab elements
+   * @type {HTMLElement[]}
+   */
+  get tabs() {
+    if (this.element) {
+      return [].slice.call(this.element.querySelectorAll('[role="tab"]'));
+    }
+    return [];
+  }
+
+  /**
+   * @private
+   * @description Index of the tab that has focus
+   * @type {number}
+   */
+  get activeIndex() {
+    return this.tabs.indexOf(document.activeElement);
+  }
+
+  /**
+   * @method focus
+   * @description Sets focus on the tab at the specified index, wrapping at either end, and selects
+   * the tab if activation is automatic.
+   * @returns {undefined}
+   * @param {number} ndx
+   */
+  focus = (ndx) => {
+    const tabs = this.tabs;
+    if (tabs.length) {
+      const lastIndex = tabs.length - 1;
+      const i = ndx < 0 ?
+        lastIndex :
+        ndx > lastIndex ?
+          0 :
+          ndx;
+
+      tabs[i].focus();
+      if (this.props.activation !== 'manual') {
+        this.select(i);
+      }
+    }
+  };
+
+  /**
+   * @method select
+   * @description Selects the tab at the specified index and calls the `onChange` handler
+   * @returns {undefined}
+   * @param {number} index
+   */
+  select = (index) => {
+    if (index !== this.state.index) {
+      this.setState({ index });
+      if (this.props.onChange) {
+        this.props.onChange(index, this);
+      }
+    }
+  };
+
+  /**
+   * @private
+   * @description Handles the keydown event on the tablist. The arrow keys matching the orientation
+   * move focus to the previous or next tab, `Home` and `End` move focus to the first and last tab,
+   * and `Enter` or `Space` select the tab that has focus.
+   * @returns {undefined}
+   * @param {event} e
+   */
+  onKeyDown = (e) => {
+    const {
+      key,
+    } = e;
+
+    const vertical = this.props.orientation === 'vertical';
+    const i = this.activeIndex;
+
+    if (i < 0) {
+      return;
+    }
+
+    switch (key) {
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        if ((key === 'ArrowUp') === vertical) {
+          e.preventDefault();
+          this.focus(i - 1);
+        }
+        break;
+      case 'ArrowRight':
+      case 'ArrowDown':
+        if ((key === 'ArrowDown') === vertical) {
+          e.preventDefault();
+          this.focus(i + 1);
+        }
+        break;
+      case 'Home':
+        e.preventDefault();
+        this.focus(0);
+        break;
+      case 'End':
+        e.preventDefault();
+        this.focus(this.tabs.length - 1);
+        break;
+      case 'Enter':
+      case ' ':
+      case 'Spacebar':
+        e.preventDefault();
+        this.select(i);
+        break;
+      default:
+    }
+  };
+
+  /**
+   * @private
+   * @description Sets the DOM reference for event handlers
+   * @returns {undefined}
+   * @param {HTMLElement} node
+   */
+  setRef = (node) => {
+    if (node) {
+      this.element = node;
+    }
+  };
+
+  render() {
+    const {
+      activation,
+      children,
+      className,
+      id,
+      index,
+      label,
+      onChange,
+      orientation,
+      ...rest
+    } = this.props;
+
+    const tabs = [];
+    const panels = [];
+
+    React.Children.forEach(children, (child) => {
+      if (child && child.type === Tab) {
+        tabs.push(child);
+      } else if (child && child.type === TabPanel) {
+        panels.push(child);
+      }
+    });
+
+    return (
+      <div
+        { ...rest }
+        className={`tabs ${orientation} ${className || ''}`.trim()}
+        id={id}
+      >
+        <div
+          aria-label={label}
+          aria-orientation={orientation}
+          onKeyDown={this.onKeyDown}
+          ref={this.setRef}
+          role='tablist'
+        >
+          {
+            tabs.map((tab, i) => React.cloneElement(tab, {
+              'aria-controls': `${id}-panel-${i}`,
+              id: `${id}-tab-${i}`,
+              key: `${id}-tab-${i}`,
+              onClick: () => { this.select(i); },
+              selected: i === this.state.index,
+            }))
+          }
+        </div>
+        {
+          panels.map((panel, i) => React.cloneElement(panel, {
+            'aria-labelledby': `${id}-tab-${i}`,
+            id: `${id}-panel-${i}`,
+            key: `${id}-panel-${i}`,
+            selected: i === this.state.index,
+          }))
+        }
+      </div>
+    );
+  }
+}
+Tabs.defaultProps = {
+  activation: 'automatic',
+  id: `tabs-${(new Date()).getTime()}`,
+  index: 0,
+  orientation: 'horizontal',
+};
+Tabs.propTypes = {
+  activation: PropTypes.oneOf(['automatic', 'manual']),
+  id: PropTypes.string.isRequired,
+  index: PropTypes.number,
+  label: PropTypes.string.isRequired,
+  onChange: PropTypes.func,
+  orientation: PropTypes.oneOf(['horizontal', 'vertical']),
+};
+export default Tabs;
@@ -0,0 +1,85 @@
+import { mount } from 'enzyme';
+import React from 'react';
+
+import Tabs, { Tab, TabPanel } from './index';
+
+describe('Tabs', () => {
+  let tabs;
+  let onChange;
+
+  beforeEach(() => {
+    onChange = jest.fn();
+    tabs = mount(
+      <Tabs id="planets" label="Inner planets" onChange={onChange}>
+        <Tab>Mercury</Tab>
+        <Tab>Venus</Tab>
+        <Tab>Earth</Tab>
+        <TabPanel><p>Mercury</p></TabPanel>
+        <TabPanel><p>Venus</p></TabPanel>
+        <TabPanel><p>Earth</p></TabPanel>
+      </Tabs>,
+      { attachTo: document.body.appendChild(document.createElement('div')) }
+    );
+  });
+  afterEach(() => {
+    tabs.unmount();
+  });
+
+  test('should render a tablist with tabs and tabpanels', () => {
+    expect(tabs.find('[role="tablist"]').prop('aria-label')).toBe('Inner planets');
+    expect(tabs.find('button[role="tab"]').length).toBe(3);
+    expect(tabs.find('div[role="tabpanel"]').length).toBe(3);
+  });
+  test('should link the tabs and the tabpanels', () => {
+    expect(tabs.find('button#planets-tab-1').prop('aria-controls')).toBe('planets-panel-1');
+    expect(tabs.find('div#planets-panel-1').prop('aria-labelledby')).toBe('planets-tab-1');
+  });
+  test('should only put the selected tab in the tab sequence', () => {
+    expect(tabs.find('button#planets-tab-0').prop('tabIndex')).toBe(0);
+    expect(tabs.find('button#planets-tab-1').prop('tabIndex')).toBe(-1);
+    expect(tabs.find('div#planets-panel-0').prop('hidden')).toBe(false);
+    expect(tabs.find('div#planets-panel-1').prop('hidden')).toBe(true);
+  });
+  test('should select a tab on click', () => {
+    tabs.find('button#planets-tab-2').simulate('click');
+    expect(tabs.find('button#planets-tab-2').prop('aria-selected')).toBe(true);
+    expect(onChange).toHaveBeenCalledWith(2, tabs.instance());
+  });
+  test('should move focus and select on ArrowRight and ArrowLeft', () => {
+    document.getElementById('planets-tab-0').focus();
+    tabs.find('[role="tablist"]').simulate('keydown', { key: 'ArrowRight' });
+    expect(document.activeElement.id).toBe('planets-tab-1');
+    expect(tabs.instance().index).toBe(1);
+
+    tabs.find('[role="tablist"]').simulate('keydown', { key: 'ArrowLeft' });
+    tabs.find('[role="tablist"]').simulate('keydown', { key: 'ArrowLeft' });
+    expect(document.activeElement.id).toBe('planets-tab-2');
+  });
+  test('should move focus to the first and last tab on Home and End', () => {
+    document.getElementById('planets-tab-0').focus();
+    tabs.find('[role="tablist"]').simulate('keydown', { key: 'End' });
+    expect(document.activeElement.id).toBe('planets-tab-2');
+    tabs.find('[role="tablist"]').simulate('keydown', { key: 'Home' });
+    expect(document.activeElement.id).toBe('planets-tab-0');
+  });
+  test('should not select on focus when activation is manual', () => {
+    tabs.unmount();
+    tabs = mount(
+      <Tabs activation="manual" id="planets" label="Inner planets" orientation="vertical">
+        <Tab>Mercury</Tab>
+        <Tab>Venus</Tab>
+        <TabPanel><p>Mercury</p></TabPanel>
+        <TabPanel><p>Venus</p></TabPanel>
+      </Tabs>,
+      { attachTo: document.body.appendChild(document.createElement('div')) }
+    );
+    document.getElementById('planets-tab-0').focus();
+    tabs.find('[role="tablist"]').simulate('keydown', { key: 'ArrowRight' });
+    expect(document.activeElement.id).toBe('planets-tab-0');
+    tabs.find('[role="tablist"]').simulate('keydown', { key: 'ArrowDown' });
+    expect(document.activeElement.id).toBe('planets-tab-1');
+    expect(tabs.instance().index).toBe(0);
+    tabs.find('[role="tablist"]').simulate('keydown', { key: 'Enter' });
+    expect(tabs.instance().index).toBe(1);
+  });
+});
@@ -0,0 +1,308 @@
+/**
+ * @author H Robert King <hrobertking@cathmhaol.com>
+ * @class Toolbar
+ * @requires react
+ * @requires prop-types
+ * @see {@link https://www.w3.org/TR/wai-aria-practices/#toolbar}
+ *
+ * @description A container for grouping a set of controls, such as buttons, menubuttons, sliders,
+ * or checkboxes. The toolbar is a single tab stop; the arrow keys matching the orientation move
+ * focus to the previous and next control, and `Home` and `End` move focus to the first and last
+ * control. Keys pressed in a control that uses the arrow keys itself, e.g., a `Slider` or a text
+ * input, are left to the control. When a horizontal toolbar is too narrow to show all of its
+ * controls, the controls that do not fit are moved into an overflow `SubMenu`.
+ *
+ * @param {string} id
+ * @param {string} label - the accessible name of the toolbar
+ * @param {string} [orientation] - 'horizontal' or 'vertical'; default is 'horizontal'
+ * @param {string} [overflowLabel] - the label of the overflow menu; default is 'More'
+ *
+ * @example
+ * <Toolbar id="format" label="Text formatting">
+ *   <button type="button">Bold</button>
+ *   <button type="button">Italic</button>
+ *   <label><input type="checkbox" /> Spell check</label>
+ *   <SubMenu id="format-size" label="Size">
+ *     <MenuItem action={() => { this.size = 'small'; }} label="Small" />
+ *     <MenuItem action={() => { this.size = 'large'; }} label="Large" />
+ *   </SubMenu>
+ *   <Slider id="format-zoom" label="Zoom" min={50} max={200} value={100} />
+ * </Toolbar>
+ */
+
+import React, { Component } from 'react';
+import { PropTypes } from 'prop-types';
+import { SubMenu } from '../Menu';
+import './style.css';
+
+const FOCUSABLE = 'a[href], button, input, select, textarea, [tabindex]';
+const COMPOSITE = '[role="slider"], input:not([type="checkbox"]):not([type="radio"]):not([type="button"]), select, textarea';
+
+class Toolbar extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      active: 0,
+      overflow: 0,
+    };
+  }
+
+  componentDidMount() {
+    this.rove();
+    this.measure();
+    window.addEventListener('resize', this.onResize);
+  }
+
+  componentDidUpdate(prevProps, prevState) {
+    this.rove();
+    if (prevState.overflow !== this.state.overflow) {
+      this.measure();
+    }
+  }
+
+  componentWillUnmount() {
+    window.removeEventListener('resize', this.onResize);
+  }
+
+  /**
+   * @private
+   * @description The toolbar items, i.e., the wrappers of the controls, including the overflow menu
+   * @type {HTMLElement[]}
+   */
+  get items() {
+    if (this.element) {
+      return [].slice.call(this.element.children);
+    }
+    return [];
+  }
+
+  /**
+   * @private
+   * @description Index of the item that contains the active element
+   * @type {number}
+   */
+  get activeIndex() {
+    const list = this.items;
+    let i = list.length - 1;
+    while (i > -1) {
+      if (list[i].contains(document.activeElement)) {
+        return i;
+      }
+      i -= 1;
+    }
+    return i;
+  }
+
+  /**
+   * @method focus
+   * @description Sets focus on the control in the item at the specified index, wrapping at either
+   * end
+   * @returns {undefined}
+   * @param {number} [ndx]
+   */
+  focus = (ndx = this.state.active) => {
+    const items = this.items;
+    if (items.length) {
+      const lastIndex = items.length - 1;
+      const i = ndx < 0 ?
+        lastIndex :
+        ndx > lastIndex ?
+          0 :
+          ndx;
+
+      const control = items[i].querySelector(FOCUSABLE);
+      if (control) {
+        this.setState({ active: i });
+        control.focus();
+      }
+    }
+  };
+
+  /**
+   * @private
+   * @description Moves the controls that do not fit in a horizontal toolbar into the overflow menu.
+   * The measurement repeats after each update until the controls and the overflow menu fit.
+   * @returns {undefined}
+   */
+  measure = () => {
+    if (!this.element || this.props.orientation === 'vertical') {
+      return;
+    }
+
+    const items = this.items.filter(item => !item.classList.contains('overflow'));
+    const more = this.element.querySelector('.overflow');
+    const available = this.element.clientWidth - (more ? more.offsetWidth : 0);
+
+    let fit = 0;
+    let used = 0;
+    while (fit < items.length && used + items[fit].offsetWidth <= available) {
+      used += items[fit].offsetWidth;
+      fit += 1;
+    }
+
+    const overflow = this.state.overflow + (items.length - fit);
+    if (overflow !== this.state.overflow) {
+      this.setState({
+        active: Math.min(this.state.active, fit),
+        overflow,
+      });
+    }
+  };
+
+  /**
+   * @private
+   * @description Removes every control except the active one from the tab sequence
+   * @returns {undefined}
+   */
+  rove = () => {
+    const active = Math.min(this.state.active, this.items.length - 1);
+
+    this.items.forEach((item, i) => {
+      const controls = [].slice.call(item.querySelectorAll(FOCUSABLE));
+      controls.forEach((control, c) => {
+        control.setAttribute('tabindex', (i === active && c === 0) ? '0' : '-1');
+      });
+    });
+  };
+
+  /**
+   * @private
+   * @description Makes the item that receives focus, e.g., from a click, the active item
+   * @returns {undefined}
+   */
+  onFocus = () => {
+    const i = this.activeIndex;
+    if (i > -1 && i !== this.state.active) {
+      this.setState({ active: i });
+    }
+  };
+
+  /**
+   * @private
+   * @description Handles the keydown event on the toolbar
+   * @returns {undefined}
+   * @param {event} e
+   */
+  onKeyDown = (e) => {
+    const {
+      key,
+      target,
+    } = e;
+
+    const vertical = this.props.orientation === 'vertical';
+    const i = this.activeIndex;
+
+    if (i < 0 || (target.matches && target.matches(COMPOSITE))) {
+      return;
+    }
+
+    switch (key) {
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        if ((key === 'ArrowUp') === vertical) {
+          e.preventDefault();
+          this.focus(i - 1);
+        }
+        break;
+      case 'ArrowRight':
+      case 'ArrowDown':
+        if ((key === 'ArrowDown') === vertical) {
+          e.preventDefault();
+          this.focus(i + 1);
+        }
+        break;
+      case 'Home':
+        e.preventDefault();
+        this.focus(0);
+        break;
+      case 'End':
+        e.preventDefault();
+        this.focus(this.items.length - 1);
+        break;
+      default:
+    }
+  };
+
+  /**
+   * @private
+   * @description Re-measures the toolbar when the window is resized
+   * @returns {undefined}
+   */
+  onResize = () => {
+    this.setState({ overflow: 0 }, this.measure);
+  };
+
+  /**
+   * @private
+   * @description Sets the DOM reference for event handlers
+   * @returns {undefined}
+   * @param {HTMLElement} node
+   */
+  setRef = (node) => {
+    if (node) {
+      this.element = node;
+    }
+  };
+
+  render() {
+    const {
+      children,
+      className,
+      id,
+      label,
+      orientation,
+      overflowLabel,
+      ...rest
+    } = this.props;
+
+    const items = React.Children.toArray(children);
+    const visible = items.slice(0, items.length - this.state.overflow);
+    const hidden = items.slice(visible.length);
+
+    /* a SubMenu renders its own list item, so it needs a list */
+    const wrap = (child, i) => (child.type === SubMenu ?
+      <ul className='item menu' key={`${id}-item-${i}`}>{child}</ul> :
+      <div className='item' key={`${id}-item-${i}`}>{child}</div>);
+
+    return (
+      <div
+        { ...rest }
+        aria-label={label}
+        aria-orientation={orientation}
+        className={`toolbar ${orientation} ${className || ''}`.trim()}
+        id={id}
+        onFocus={this.onFocus}
+        onKeyDown={this.onKeyDown}
+        ref={this.setRef}
+        role='toolbar'
+      >
+        {visible.map(wrap)}
+        {
+          hidden.length > 0 &&
+          <ul className='item menu overflow'>
+            <SubMenu
+              id={`${id}-overflow`}
+              key={`${id}-overflow-${hidden.length}`}
+              label={overflowLabel}
+            >
+              {hidden.map((child, i) => <li className='menuitem' key={`${id}-overflow-${i}`}>{child}</li>)}
+            </SubMenu>
+          </ul>
+        }
+      </div>
+    );
+  }
+}
+Toolbar.defaultProps = {
+  id: `toolbar-${(new Date()).getTime()}`,
+  orientation: 'horizontal',
+  overflowLabel: 'More',
+};
+Toolbar.propTypes = {
+  id: PropTypes.string.isRequired,
+  label: PropTypes.string.isRequired,
+  orientation: PropTypes.oneOf(['horizontal', 'vertical']),
+  overflowLabel: PropTypes.string,
+};
+export default Toolbar;
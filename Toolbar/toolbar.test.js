@@ -0,0 +1,97 @@
+import { mount } from 'enzyme';
+import React from 'react';
+
+import Toolbar from './index';
+
+describe('Toolbar', () => {
+  let toolbar;
+
+  beforeEach(() => {
+    toolbar = mount(
+      <Toolbar id="format" label="Text formatting">
+        <button id="bold" type="button">Bold</button>
+        <button id="italic" type="button">Italic</button>
+        <input id="size" type="text" />
+        <label><input id="spell" type="checkbox" /> Spell check</label>
+      </Toolbar>,
+      { attachTo: document.body.appendChild(document.createElement('div')) }
+    );
+  });
+  afterEach(() => {
+    toolbar.unmount();
+  });
+
+  test('should render a toolbar', () => {
+    expect(toolbar.find('div').first().prop('role')).toBe('toolbar');
+    expect(toolbar.find('div').first().prop('aria-label')).toBe('Text formatting');
+  });
+  test('should only put the first control in the tab sequence', () => {
+    expect(document.getElementById('bold').getAttribute('tabindex')).toBe('0');
+    expect(document.getElementById('italic').getAttribute('tabindex')).toBe('-1');
+    expect(document.getElementById('spell').getAttribute('tabindex')).toBe('-1');
+  });
+  test('should move focus on ArrowRight and ArrowLeft', () => {
+    document.getElementById('bold').focus();
+    toolbar.find('#bold').simulate('keydown', { key: 'ArrowRight' });
+    expect(document.activeElement.id).toBe('italic');
+    expect(document.getElementById('italic').getAttribute('tabindex')).toBe('0');
+    toolbar.find('#italic').simulate('keydown', { key: 'ArrowLeft' });
+    toolbar.find('#bold').simulate('keydown', { key: 'ArrowLeft' });
+    expect(document.activeElement.id).toBe('spell');
+  });
+  test('should move focus on Home and End', () => {
+    document.getElementById('bold').focus();
+    toolbar.find('#bold').simulate('keydown', { key: 'End' });
+    expect(document.activeElement.id).toBe('spell');
+    toolbar.find('#spell').simulate('keydown', { key: 'Home' });
+    expect(document.activeElement.id).toBe('bold');
+  });
+  test('should leave the arrow keys to a text input', () => {
+    document.getElementById('size').focus();
+    toolbar.find('#size').simulate('keydown', { key: 'ArrowRight' });
+    expect(document.activeElement.id).toBe('size');
+  });
+});
+
+describe('Toolbar overflow', () => {
+  const client = Object.getOwnPropertyDescriptor(Element.prototype, 'clientWidth');
+  const offset = Object.getOwnPropertyDescriptor(HTMLElement.prototype, 'offsetWidth');
+  let toolbar;
+
+  beforeEach(() => {
+    /* the toolbar is wide enough for two controls, so the others are moved into the overflow menu */
+    Object.defineProperty(Element.prototype, 'clientWidth', { configurable: true, get: () => 250 });
+    Object.defineProperty(HTMLElement.prototype, 'offsetWidth', { configurable: true, get: () => 100 });
+
+    toolbar = mount(
+      <Toolbar id="format" label="Text formatting">
+        <button id="bold" type="button">Bold</button>
+        <button id="italic" type="button">Italic</button>
+        <span>Spelling</span>
+        <label><input id="spell" type="checkbox" /> Spell check</label>
+      </Toolbar>,
+      { attachTo: document.body.appendChild(document.createElement('div')) }
+    );
+  });
+  afterEach(() => {
+    toolbar.unmount();
+    Object.defineProperty(Element.prototype, 'clientWidth', client);
+    Object.defineProperty(HTMLElement.prototype, 'offsetWidth', offset);
+  });
+
+  test('should move the controls that do not fit into the overflow menu', () => {
+    expect(document.querySelector('#format-overflow #spell')).not.toBeNull();
+  });
+  test('should focus a checkbox in the overflow menu on End', () => {
+    document.getElementById('format-overflow-controller').focus();
+    toolbar.find('#format-overflow-controller').simulate('keydown', { key: 'End' });
+    expect(document.activeElement.id).toBe('spell');
+  });
+  test('should skip an overflow item without a control on ArrowDown', () => {
+    document.getElementById('format-overflow-controller').focus();
+    toolbar.find('#format-overflow-controller').simulate('keydown', { key: 'Home' });
+    expect(document.activeElement.id).toBe('italic');
+    toolbar.find('#italic').simulate('keydown', { key: 'ArrowDown' });
+    expect(document.activeElement.id).toBe('spell');
+  });
+});
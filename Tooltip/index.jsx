@@ -3,18 +3,70 @@
  * @class Tooltip
  * @description A tooltip is a popup that displays information related to an element when the element receives keyboard focus or the mouse hovers over it. It typically appears after a small delay and disappears when Escape is pressed or on mouse out.
  *
+ * @param {boolean} [arrow] - Whether or not a positioned tooltip has an arrow pointing at the element.
  * @param {string} [bind] - The ID of an element to bind an event handler to. The tooltip will be displayed when the event type, specified in the `trigger` prop is fired on the element with the specified ID.
+ * @param {node} [content] - The content of a tooltip that wraps its element. When `content` is provided, the only child is the element the tooltip describes; the event handlers and `aria-describedby` are added to the child.
+ * @param {number} [hideDelay] - The number of milliseconds before the tooltip is hidden when the pointer leaves, or the element loses focus; default is 100. The tooltip stays visible while the pointer is over the tooltip.
  * @param {string} [id]
- * @param {string} [label] - The label for the open button. Either `label` or `bind` must be provided.
- * @param {string} [trigger] - The event type used to open the tooltip.
+ * @param {node} [icon] - The content of the open button of a toggletip; default is 'i'.
+ * @param {string} [label] - The label for the open button. Either `label` or `bind` must be provided. When `label` and `content` are provided, the only child is the element that opens the toggletip; the child keeps its own accessible name, so the `label` only selects toggletip mode.
+ * @param {function} [onOpenChange] - ECMAScript function to run when the tooltip is shown or hidden. Two arguments are passed into the `onOpenChange` function: whether or not the tooltip is shown and the Tooltip instance.
+ * @param {string} [placement] - Where the tooltip is positioned: 'top', 'bottom', 'left', 'right', or 'auto', optionally followed by '-start' or '-end', e.g., 'bottom-start'. A positioned tooltip flips to the opposite side and shifts along the element so it is not clipped by the viewport or a scroll container, and is repositioned when the page is scrolled or resized. When `placement` is not provided, the tooltip is laid out by the stylesheet.
+ * @param {object} [target] - A React ref, or the HTMLElement, of the element the tooltip describes, used instead of `bind`.
+ * @param {number} [showDelay] - The number of milliseconds before the tooltip is shown when the pointer enters, or the element receives focus; default is 0.
+ * @param {string} [trigger] - The event type used to open the tooltip. The tooltip is also shown while the pointer is over the element.
  *
  * @example
+ * <Tooltip bind="myUsername" trigger="focus">
+ *   <p>Please enter your current email address.</p>
+ * </Tooltip>
+ *
+ * @example
+ * <Tooltip arrow bind="myUsername" placement="bottom-start" trigger="focus">
+ *   <p>Please enter your current email address.</p>
+ * </Tooltip>
+ *
+ * @example
+ * <Tooltip content={<p>Please enter your current email address.</p>} id="username-tip">
+ *   <input id="myUsername" type="email" />
+ * </Tooltip>
+ *
+ * @example
+ * <Tooltip target={this.username}>
+ *   <p>Please enter your current email address.</p>
+ * </Tooltip>
+ *
+ * @example
+ * <Tooltip icon="?" label="About shipping" onOpenChange={open => console.log(open)}>
+ *   <p>Orders ship within two business days. <a href="/shipping">Shipping rates</a></p>
+ * </Tooltip>
+ *
+ * @example
+ * <Tooltip content={<p>Orders ship within two business days.</p>} label="About shipping">
+ *   <button type="button">Shipping</button>
+ * </Tooltip>
  */
 
 import React, { Component } from 'react';
 import { PropTypes } from 'prop-types';
+import position from './position';
 import './style.css';
 
+/**
+ * @private
+ * @description Values of the CSS `overflow` property that clip the content of an element
+ * @type {RegExp}
+ */
+const CLIPPING = /(auto|scroll|hidden|overlay)/;
+
+/**
+ * @private
+ * @description The number of times a React ref that is not set is read again before the tooltip
+ * stops looking for its element
+ * @type {number}
+ */
+const RETRIES = 10;
+
 class Tooltip extends Component {
   constructor(props) {
     super(props);
@@ -23,118 +75,643 @@ class Tooltip extends Component {
       this.element = `${props.id}-toggletip-controller`;
       this.trigger = 'click';
     } else {
-      this.element = props.bind;
+      this.element = props.target || props.bind;
       this.trigger = (props.trigger || 'focus').toLowerCase();
     }
 
+    /* the event listeners added to the element, removed when the tooltip unmounts */
+    this.listeners = [];
+
+    /* whether or not the pointer is over the element or the tooltip, or the element has focus */
+    this.hovered = { element: false, popup: false };
+    this.focused = false;
+
     const expanded = props.expanded;
 
     this.state = { expanded };
   }
 
   componentDidMount() {
-    this.element = (typeof this.element === 'string') ?
-      document.getElementById(this.element) :
-      this.element;
+    this.attach();
 
-    if (this.element) {
-      if (this.props.label) { /* this is a toggle tip */
-        this.element.addEventListener(this.trigger, this.toggle);
+    if (this.state.expanded) {
+      this.expand();
+    }
+  }
+
+  componentDidUpdate(prevProps, prevState) {
+    if (!this.props.label &&
+      (prevProps.target !== this.props.target || prevProps.bind !== this.props.bind)) {
+      this.detach();
+      this.element = this.props.target || this.props.bind;
+      this.attach();
+    } else if (this.element && this.element.hasOwnProperty('current') && !this.listeners.length) {
+      /* a ref that is still not set is read again when the tooltip updates */
+      clearTimeout(this.retry);
+      this.attach();
+    }
+
+    if (!!prevState.expanded !== !!this.state.expanded) {
+      if (this.state.expanded) {
+        this.expand();
       } else {
-        /* update aria */
-        const repl = new RegExp(`\\s*${this.props.id}\\s*`, 'g');
-        let ariaDescribedBy = this.element.getAttribute('aria-describedby');
-        ariaDescribedBy = `${ariaDescribedBy.replace(repl, '')} ${this.props.id}`.trim();
-        this.element.setAttribute('aria-describedby', ariaDescribedBy);
+        this.collapse();
+      }
+      if (this.props.onOpenChange) {
+        this.props.onOpenChange(!!this.state.expanded, this);
+      }
+    } else if (this.state.expanded && this.props.placement) {
+      this.reposition();
+    }
+  }
+
+  componentWillUnmount() {
+    clearTimeout(this.timer);
+    this.collapse();
+    this.detach();
+  }
+
+  /**
+   * @private
+   * @description Finds the element the tooltip describes and adds the event listeners. The element
+   * is an id, a React ref, or an HTMLElement; a wrapped child is found by its events instead. A ref
+   * that is not set when the tooltip mounts, e.g., to an element rendered after the tooltip, is
+   * read again after the current render, up to `RETRIES` times, and when the tooltip updates.
+   * @returns {undefined}
+   * @param {number} [tries] - the number of times the ref has been read
+   */
+  attach = (tries = 0) => {
+    if (this.wraps) {
+      this.element = null;
+      return;
+    }
 
-        this.element.addEventListener(this.trigger, this.open);
+    if (typeof this.element === 'string') {
+      this.element = document.getElementById(this.element);
+    } else if (this.element && this.element.hasOwnProperty('current')) {
+      if (!this.element.current) {
+        if (tries < RETRIES) {
+          this.retry = setTimeout(() => this.attach(tries + 1), 0);
+        }
+        return;
       }
+      this.element = this.element.current;
+    }
+
+    /* the open button of a toggletip uses a React event handler */
+    if (this.element && !this.props.label) {
+      /* update aria */
+      this.element.setAttribute('aria-describedby', this.describedBy(this.element.getAttribute('aria-describedby')));
+
+      this.listen('mouseenter', this.onMouseEnter);
+      this.listen('mouseleave', this.onMouseLeave);
 
       switch (this.trigger) {
         case 'focus':
-          this.element.addEventListener('blur', this.close);
+          this.listen('focus', this.onFocus);
+          this.listen('blur', this.onBlur);
           break;
         case 'focusin':
-          this.element.addEventListener('focusout', this.close);
+          this.listen('focusin', this.onFocus);
+          this.listen('focusout', this.onBlur);
+          break;
+        case 'mouseenter':
+        case 'mouseover':
           break;
         default:
+          this.listen(this.trigger, this.open);
       }
     }
+  };
+
+  /**
+   * @private
+   * @description Removes the event listeners from the element and the id of the tooltip from its
+   * `aria-describedby`
+   * @returns {undefined}
+   */
+  detach = () => {
+    clearTimeout(this.retry);
+
+    /* the listeners are only added once the element is found */
+    if (this.listeners.length && !this.props.label) {
+      const ariaDescribedBy = this.describedBy(this.element.getAttribute('aria-describedby'), false);
+      if (ariaDescribedBy) {
+        this.element.setAttribute('aria-describedby', ariaDescribedBy);
+      } else {
+        this.element.removeAttribute('aria-describedby');
+      }
+    }
+
+    this.listeners.forEach(([type, handler]) => {
+      this.element.removeEventListener(type, handler);
+    });
+    this.listeners = [];
+  };
+
+  /**
+   * @private
+   * @description Whether or not the tooltip wraps the element it describes, or the element that
+   * opens the toggletip
+   * @type {boolean}
+   */
+  get wraps() {
+    return this.props.content !== undefined &&
+      React.Children.count(this.props.children) === 1 && React.isValidElement(this.props.children);
   }
 
+  /**
+   * @private
+   * @description Returns the ids in an `aria-describedby` with the id of the tooltip added or removed
+   * @returns {string}
+   * @param {string} [ids]
+   * @param {boolean} [add]
+   */
+  describedBy(ids, add = true) {
+    const others = (ids || '').split(/\s+/).filter(item => item && item !== this.props.id);
+    return (add ? others.concat(this.props.id) : others).join(' ');
+  }
+
+  /**
+   * @private
+   * @description The area the tooltip must stay inside, i.e., the viewport and the scroll
+   * containers of the element
+   * @type {object}
+   */
+  get boundary() {
+    const boundary = {
+      bottom: window.innerHeight || document.documentElement.clientHeight,
+      left: 0,
+      right: window.innerWidth || document.documentElement.clientWidth,
+      top: 0,
+    };
+
+    let node = this.element ? this.element.parentElement : null;
+    while (node && node !== document.body && node !== document.documentElement) {
+      const style = window.getComputedStyle(node);
+      if (CLIPPING.test(`${style.overflow}${style.overflowX}${style.overflowY}`)) {
+        const rect = node.getBoundingClientRect();
+        boundary.bottom = Math.min(boundary.bottom, rect.bottom);
+        boundary.left = Math.max(boundary.left, rect.left);
+        boundary.right = Math.min(boundary.right, rect.right);
+        boundary.top = Math.max(boundary.top, rect.top);
+      }
+      node = node.parentElement;
+    }
+
+    return boundary;
+  }
+
+  /**
+   * @private
+   * @description Positions the tooltip next to the element
+   * @returns {undefined}
+   */
+  reposition = () => {
+    const popup = this.popup;
+
+    if (!popup || !this.element || !this.element.getBoundingClientRect) {
+      return;
+    }
+
+    const {
+      align,
+      arrow,
+      left,
+      side,
+      top,
+    } = position(this.element.getBoundingClientRect(), {
+      height: popup.offsetHeight,
+      width: popup.offsetWidth,
+    }, this.boundary, {
+      placement: this.props.placement,
+    });
+
+    popup.style.left = `${Math.round(left)}px`;
+    popup.style.top = `${Math.round(top)}px`;
+    popup.setAttribute('data-placement', `${side}-${align}`);
+
+    const pointer = popup.querySelector('.arrow');
+    if (pointer) {
+      const vertical = side === 'top' || side === 'bottom';
+      pointer.style.left = vertical ? `${Math.round(arrow)}px` : '';
+      pointer.style.top = vertical ? '' : `${Math.round(arrow)}px`;
+    }
+  };
+
+  /**
+   * @private
+   * @description Sets the DOM reference of the tooltip used for positioning
+   * @returns {undefined}
+   * @param {HTMLElement} node
+   */
+  setPopupRef = (node) => {
+    if (node) {
+      this.popup = node;
+    }
+  };
+
   render() {
     const {
       expanded,
     } = this.state;
 
     const {
+      arrow,
+      bind,
       children,
+      content,
+      hideDelay,
+      icon,
       id,
       label,
+      onOpenChange,
+      placement,
+      showDelay,
+      target,
       trigger,
-      ...rest,
+      ...rest
     } = this.props;
 
-    const onKeyDown = (e) => {
-      if (e.key === 'Escape' || e.keyCode === 27) {
-        this.close();
-      }
+    const popup = {
+      className: placement ? 'floating' : undefined,
+      onMouseEnter: this.onPopupEnter,
+      onMouseLeave: this.onPopupLeave,
+      ref: this.setPopupRef,
     };
+    const pointer = placement && arrow ? <span aria-hidden='true' className='arrow' /> : null;
 
-    /* add or remove Escape event */
-    if (expanded) {
-      document.addEventListener('keydown', onKeyDown);
-    } else {
-      document.removeEventListener('keydown', onKeyDown);
-    }
+    const child = this.wraps ? React.Children.only(children) : null;
+    const chain = (name, handler) => (e) => {
+      if (child.props[name]) {
+        child.props[name](e);
+      }
+      handler(e);
+    };
 
     if (label) {
+      const toggletip = (
+        <span { ...popup } aria-expanded={!!expanded} id={id} role='status'>
+          <span className='container'>
+            { expanded ? (child ? content : children) : '' }
+          </span>
+          { pointer }
+        </span>
+      );
+
+      if (child) {
+        return (
+          <React.Fragment>
+            {
+              React.cloneElement(child, {
+                'aria-controls': id,
+                'aria-expanded': !!expanded,
+                onClick: chain('onClick', (e) => {
+                  this.anchor(e);
+                  this.toggle();
+                }),
+              })
+            }
+            <span className='tooltip'>
+              { toggletip }
+            </span>
+          </React.Fragment>
+        );
+      }
+
       return (
         <span className='tooltip'>
           <button
+            aria-controls={id}
+            aria-expanded={!!expanded}
             aria-label={label}
+            className='controller'
             id={`${id}-toggletip-controller`}
+            onClick={this.toggle}
             type='button'
             { ...rest }
-          >i</button>
-          <span aria-expanded={!!expanded} role='status'>
-            <span className='container'>
-              { expanded ? children : '' }
+          >{ icon }</button>
+          { toggletip }
+        </span>
+      );
+    }
+
+    if (child) {
+      const handlers = {
+        onMouseEnter: chain('onMouseEnter', this.onMouseEnter),
+        onMouseLeave: chain('onMouseLeave', this.onMouseLeave),
+      };
+      switch (this.trigger) {
+        case 'focus':
+        case 'focusin':
+          handlers.onBlur = chain('onBlur', this.onBlur);
+          handlers.onFocus = chain('onFocus', this.onFocus);
+          break;
+        case 'mouseenter':
+        case 'mouseover':
+          break;
+        default:
+          handlers.onClick = chain('onClick', (e) => {
+            this.anchor(e);
+            this.open();
+          });
+      }
+
+      return (
+        <React.Fragment>
+          {
+            React.cloneElement(child, {
+              ...handlers,
+              'aria-describedby': this.describedBy(child.props['aria-describedby']),
+            })
+          }
+          <span className='tooltip'>
+            <span { ...popup } aria-expanded={!!expanded} id={id} role='tooltip'>
+              <span className='container'>
+                { content }
+              </span>
+              { pointer }
             </span>
           </span>
-        </span>
+        </React.Fragment>
       );
     }
 
     return (
       <span className='tooltip'>
-        <span aria-expanded={!!expanded} id={id} role='tooltip'>
+        <span { ...popup } aria-expanded={!!expanded} id={id} role='tooltip'>
           <span className='container'>
             { children }
           </span>
+          { pointer }
         </span>
       </span>
     );
   }
 
+  /**
+   * @private
+   * @description Uses the element that fired the event as the element the tooltip is positioned
+   * next to, so a wrapped child does not need a ref
+   * @returns {undefined}
+   * @param {event} [e]
+   */
+  anchor = (e) => {
+    if (this.wraps && e && e.currentTarget && e.currentTarget.getBoundingClientRect) {
+      this.element = e.currentTarget;
+    }
+  };
+
+  /**
+   * @method close
+   * @description Hides the tooltip
+   * @returns {undefined}
+   */
   close = () => {
+    clearTimeout(this.timer);
     this.setState({ expanded: false });
   };
 
+  /**
+   * @private
+   * @description Removes the listeners added while the tooltip is shown
+   * @returns {undefined}
+   */
+  collapse = () => {
+    document.removeEventListener('click', this.onDocumentClick);
+    document.removeEventListener('focusin', this.onDocumentFocus);
+    document.removeEventListener('keydown', this.onKeyDown);
+    window.removeEventListener('resize', this.reposition);
+    window.removeEventListener('scroll', this.reposition, true);
+  };
+
+  /**
+   * @private
+   * @description Adds the listeners used while the tooltip is shown and positions the tooltip
+   * @returns {undefined}
+   */
+  expand = () => {
+    document.addEventListener('keydown', this.onKeyDown);
+    if (this.props.label) {
+      document.addEventListener('click', this.onDocumentClick);
+      document.addEventListener('focusin', this.onDocumentFocus);
+    }
+    if (this.props.placement) {
+      this.reposition();
+      window.addEventListener('resize', this.reposition);
+      window.addEventListener('scroll', this.reposition, true);
+    }
+  };
+
+  /**
+   * @private
+   * @description Whether or not a node is inside the tooltip or the element
+   * @returns {boolean}
+   * @param {Node} node
+   */
+  contains(node) {
+    return !!node && ((this.popup && this.popup.contains(node)) ||
+      (this.element && this.element.contains && this.element.contains(node)));
+  }
+
+  /**
+   * @private
+   * @description Hides the tooltip after the `hideDelay`, unless the pointer is over the element or
+   * the tooltip, or the element has focus
+   * @returns {undefined}
+   */
+  hide = () => {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      if (!this.focused && !this.hovered.element && !this.hovered.popup) {
+        this.close();
+      }
+    }, this.props.hideDelay);
+  };
+
+  /**
+   * @private
+   * @description Adds an event listener to the element and keeps it so it can be removed
+   * @returns {undefined}
+   * @param {string} type
+   * @param {function} handler
+   */
+  listen = (type, handler) => {
+    this.element.addEventListener(type, handler);
+    this.listeners.push([type, handler]);
+  };
+
+  /**
+   * @method open
+   * @description Shows the tooltip
+   * @returns {undefined}
+   */
   open = () => {
+    clearTimeout(this.timer);
     this.setState({ expanded: true });
   };
 
+  /**
+   * @private
+   * @description Shows the tooltip after the `showDelay`
+   * @returns {undefined}
+   */
+  show = () => {
+    clearTimeout(this.timer);
+    if (this.state.expanded || !this.props.showDelay) {
+      this.open();
+    } else {
+      this.timer = setTimeout(this.open, this.props.showDelay);
+    }
+  };
+
+  /**
+   * @method toggle
+   * @description Shows the tooltip when it is hidden and hides it when it is shown
+   * @returns {undefined}
+   */
   toggle = () => {
     this.setState({ expanded: !this.state.expanded });
   };
+
+  /**
+   * @private
+   * @description Handles the blur event on the element
+   * @returns {undefined}
+   */
+  onBlur = (e) => {
+    this.anchor(e);
+    this.focused = false;
+    this.hide();
+  };
+
+  /**
+   * @private
+   * @description Handles the click event on the document while a toggletip is shown, so the
+   * toggletip is hidden when the user clicks outside of it
+   * @returns {undefined}
+   * @param {event} e
+   */
+  onDocumentClick = (e) => {
+    if (!this.contains(e.target)) {
+      this.close();
+    }
+  };
+
+  /**
+   * @private
+   * @description Handles the focusin event on the document while a toggletip is shown, so the
+   * toggletip is hidden when focus moves outside of it
+   * @returns {undefined}
+   * @param {event} e
+   */
+  onDocumentFocus = (e) => {
+    if (!this.contains(e.target)) {
+      this.close();
+    }
+  };
+
+  /**
+   * @private
+   * @description Handles the focus event on the element
+   * @returns {undefined}
+   */
+  onFocus = (e) => {
+    this.anchor(e);
+    this.focused = true;
+    this.show();
+  };
+
+  /**
+   * @private
+   * @description Handles the keydown event on the document while the tooltip is shown
+   * @returns {undefined}
+   * @param {event} e
+   */
+  onKeyDown = (e) => {
+    if (e.key === 'Escape' || e.keyCode === 27) {
+      /* return focus to the element when it is in the toggletip, so focus is not lost */
+      if (this.props.label && this.popup && this.popup.contains(document.activeElement) &&
+        this.element && this.element.focus) {
+        this.element.focus();
+      }
+      this.close();
+    }
+  };
+
+  /**
+   * @private
+   * @description Handles the mouseenter event on the element
+   * @returns {undefined}
+   */
+  onMouseEnter = (e) => {
+    this.anchor(e);
+    this.hovered.element = true;
+    this.show();
+  };
+
+  /**
+   * @private
+   * @description Handles the mouseleave event on the element
+   * @returns {undefined}
+   */
+  onMouseLeave = (e) => {
+    this.anchor(e);
+    this.hovered.element = false;
+    this.hide();
+  };
+
+  /**
+   * @private
+   * @description Handles the mouseenter event on the tooltip, so the pointer can be moved onto the
+   * tooltip without hiding it
+   * @returns {undefined}
+   */
+  onPopupEnter = () => {
+    this.hovered.popup = true;
+    if (this.state.expanded) {
+      clearTimeout(this.timer);
+    }
+  };
+
+  /**
+   * @private
+   * @description Handles the mouseleave event on the tooltip
+   * @returns {undefined}
+   */
+  onPopupLeave = () => {
+    this.hovered.popup = false;
+    if (!this.props.label) {
+      this.hide();
+    }
+  };
 }
 Tooltip.defaultProps = {
+  hideDelay: 100,
+  icon: 'i',
   id: `tooltip_${(new Date()).getTime()}`,
+  showDelay: 0,
 };
 Tooltip.propTypes = {
+  arrow: PropTypes.bool,
   bind: PropTypes.string,
+  content: PropTypes.node,
+  hideDelay: PropTypes.number,
+  icon: PropTypes.node,
   label: PropTypes.string,
+  onOpenChange: PropTypes.func,
+  placement: PropTypes.oneOf([
+    'auto', 'auto-start', 'auto-end',
+    'bottom', 'bottom-start', 'bottom-end',
+    'left', 'left-start', 'left-end',
+    'right', 'right-start', 'right-end',
+    'top', 'top-start', 'top-end',
+  ]),
+  showDelay: PropTypes.number,
+  target: PropTypes.oneOfType([
+    PropTypes.object,
+    PropTypes.shape({ current: PropTypes.object }),
+  ]),
   trigger: PropTypes.string,
 };
 export default Tooltip;
@@ -0,0 +1,107 @@
+/**
+ * @author H Robert King <hrobertking@cathmhaol.com>
+ * @description Computes where a popup, e.g., a `Tooltip`, is placed next to its anchor. The popup
+ * is placed on the side of the anchor in the `placement`, and aligned with the start, center, or
+ * end of the anchor. When the popup does not fit in the boundary on that side, it flips to the
+ * opposite side if there is more room there; an 'auto' placement uses the side with the most
+ * room. The popup is then shifted along the side of the anchor so it stays inside the boundary.
+ * All of the rectangles use the same coordinates, e.g., the viewport coordinates returned by
+ * `getBoundingClientRect`.
+ *
+ * @returns {object} the `left` and `top` of the popup, the `side` and `align` used, and the
+ * `arrow` offset from the start of the popup to the center of the anchor
+ * @param {object} anchor - the `top`, `right`, `bottom`, and `left` of the anchor
+ * @param {object} popup - the `width` and `height` of the popup
+ * @param {object} boundary - the `top`, `right`, `bottom`, and `left` of the area the popup must
+ * stay inside
+ * @param {object} [options]
+ * @param {string} [options.placement] - 'top', 'bottom', 'left', 'right', or 'auto', optionally
+ * followed by '-start' or '-end', e.g., 'bottom-start'; default is 'top'
+ * @param {number} [options.offset] - the distance between the anchor and the popup; default is 8
+ * @param {number} [options.padding] - the smallest distance between the popup and the edge of the
+ * boundary; default is 4
+ */
+
+const OPPOSITE = {
+  bottom: 'top',
+  left: 'right',
+  right: 'left',
+  top: 'bottom',
+};
+
+export default function position(anchor, popup, boundary, options = {}) {
+  const {
+    offset = 8,
+    padding = 4,
+    placement = 'top',
+  } = options;
+
+  const [requested, align = 'center'] = placement.split('-');
+
+  /* the room available on each side of the anchor */
+  const room = {
+    bottom: boundary.bottom - anchor.bottom - offset - padding,
+    left: anchor.left - boundary.left - offset - padding,
+    right: boundary.right - anchor.right - offset - padding,
+    top: anchor.top - boundary.top - offset - padding,
+  };
+  const size = side => ((side === 'top' || side === 'bottom') ? popup.height : popup.width);
+  const fits = side => room[side] >= size(side);
+
+  let side = requested;
+  if (side === 'auto') {
+    side = ['top', 'bottom', 'right', 'left'].filter(fits)[0] ||
+      Object.keys(room).sort((a, b) => (room[b] - size(b)) - (room[a] - size(a)))[0];
+  } else if (!fits(side) && room[OPPOSITE[side]] > room[side]) {
+    side = OPPOSITE[side];
+  }
+
+  const vertical = side === 'top' || side === 'bottom';
+  const start = vertical ? anchor.left : anchor.top;
+  const end = vertical ? anchor.right : anchor.bottom;
+  const length = vertical ? popup.width : popup.height;
+
+  /* the position along the side of the anchor */
+  let cross;
+  switch (align) {
+    case 'start':
+      cross = start;
+      break;
+    case 'end':
+      cross = end - length;
+      break;
+    default:
+      cross = ((start + end) / 2) - (length / 2);
+  }
+
+  /* shift the popup inside the boundary, preferring the start when it cannot fit */
+  const min = (vertical ? boundary.left : boundary.top) + padding;
+  const max = (vertical ? boundary.right : boundary.bottom) - padding - length;
+  cross = Math.max(Math.min(cross, max), min);
+
+  let main;
+  switch (side) {
+    case 'bottom':
+      main = anchor.bottom + offset;
+      break;
+    case 'left':
+      main = anchor.left - offset - popup.width;
+      break;
+    case 'right':
+      main = anchor.right + offset;
+      break;
+    default:
+      main = anchor.top - offset - popup.height;
+  }
+
+  /* the arrow points at the center of the anchor, but stays on the popup */
+  const arrow = Math.max(Math.min(((start + end) / 2) - cross, length - padding), padding);
+
+  return {
+    align,
+    arrow,
+    left: vertical ? cross : main,
+    side,
+    top: vertical ? main : cross,
+  };
+}
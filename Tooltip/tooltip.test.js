@@ -0,0 +1,296 @@
+import { mount } from 'enzyme';
+import React from 'react';
+
+import Tooltip from './index';
+import position from './position';
+
+describe('Tooltip', () => {
+  let input;
+  let tooltip;
+
+  beforeEach(() => {
+    input = document.body.appendChild(document.createElement('input'));
+    input.id = 'username';
+    input.setAttribute('aria-describedby', 'username-hint');
+
+    jest.spyOn(input, 'addEventListener');
+    jest.spyOn(input, 'removeEventListener');
+    jest.spyOn(document, 'addEventListener');
+    jest.spyOn(document, 'removeEventListener');
+
+    tooltip = mount(
+      <Tooltip bind="username" id="username-tip" trigger="focus">
+        <p>Please enter your current email address.</p>
+      </Tooltip>,
+      { attachTo: document.body.appendChild(document.createElement('div')) }
+    );
+  });
+  afterEach(() => {
+    /* some tests unmount the tooltip themselves */
+    if (tooltip.length) {
+      tooltip.unmount();
+    }
+    jest.restoreAllMocks();
+    document.body.removeChild(input);
+  });
+
+  /* the listeners of a type added to a target that have not been removed */
+  const remaining = (target, type) => target.addEventListener.mock.calls
+    .filter(([t]) => t === type)
+    .filter(([t, handler]) => !target.removeEventListener.mock.calls
+      .some(([r, removed]) => r === t && removed === handler));
+
+  test('should add its id to the aria-describedby of the element', () => {
+    expect(input.getAttribute('aria-describedby')).toBe('username-hint username-tip');
+  });
+  test('should show on focus and hide on Escape', () => {
+    input.focus();
+    tooltip.update();
+    expect(tooltip.find('[role="tooltip"]').prop('aria-expanded')).toBe(true);
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    tooltip.update();
+    expect(tooltip.find('[role="tooltip"]').prop('aria-expanded')).toBe(false);
+  });
+  test('should remove the event listeners on unmount', () => {
+    input.focus();
+    expect(remaining(document, 'keydown').length).toBe(1);
+
+    tooltip.unmount();
+    expect(remaining(input, 'focus')).toEqual([]);
+    expect(remaining(input, 'blur')).toEqual([]);
+    expect(remaining(input, 'mouseenter')).toEqual([]);
+    expect(remaining(input, 'mouseleave')).toEqual([]);
+    expect(remaining(document, 'keydown')).toEqual([]);
+  });
+  test('should restore the aria-describedby of the element on unmount', () => {
+    tooltip.unmount();
+    expect(input.getAttribute('aria-describedby')).toBe('username-hint');
+  });
+});
+
+describe('position', () => {
+  const boundary = { bottom: 800, left: 0, right: 1000, top: 0 };
+  const popup = { height: 40, width: 100 };
+  const anchor = (left, top) => ({ bottom: top + 20, left, right: left + 100, top });
+
+  test('should center the popup on the side of the placement', () => {
+    expect(position(anchor(450, 400), popup, boundary)).toEqual({
+      align: 'center',
+      arrow: 50,
+      left: 450,
+      side: 'top',
+      top: 352,
+    });
+  });
+  test('should align the popup with the start or end of the anchor', () => {
+    expect(position(anchor(450, 400), { height: 40, width: 60 }, boundary, { placement: 'bottom-start' }))
+      .toMatchObject({ align: 'start', left: 450, side: 'bottom', top: 428 });
+    expect(position(anchor(450, 400), { height: 40, width: 60 }, boundary, { placement: 'bottom-end' }))
+      .toMatchObject({ align: 'end', left: 490, side: 'bottom', top: 428 });
+  });
+  test('should flip to the opposite side at each edge of the boundary', () => {
+    expect(position(anchor(450, 20), popup, boundary, { placement: 'top' }))
+      .toMatchObject({ side: 'bottom', top: 48 });
+    expect(position(anchor(450, 760), popup, boundary, { placement: 'bottom' }))
+      .toMatchObject({ side: 'top', top: 712 });
+    expect(position(anchor(10, 400), popup, boundary, { placement: 'left' }))
+      .toMatchObject({ left: 118, side: 'right', top: 390 });
+    expect(position(anchor(890, 400), popup, boundary, { placement: 'right' }))
+      .toMatchObject({ left: 782, side: 'left' });
+  });
+  test('should not flip when the opposite side has less room', () => {
+    const short = { bottom: 100, left: 0, right: 1000, top: 0 };
+    expect(position(anchor(450, 50), popup, short, { placement: 'top' })).toMatchObject({ side: 'top' });
+  });
+  test('should use the side with the most room for an auto placement', () => {
+    expect(position(anchor(450, 20), popup, boundary, { placement: 'auto' })).toMatchObject({ side: 'bottom' });
+    expect(position(anchor(450, 400), popup, boundary, { placement: 'auto' })).toMatchObject({ side: 'top' });
+  });
+  test('should shift the popup inside the boundary and point the arrow at the anchor', () => {
+    const wide = { height: 40, width: 200 };
+
+    expect(position({ bottom: 420, left: 0, right: 20, top: 400 }, wide, boundary))
+      .toMatchObject({ arrow: 6, left: 4 });
+    expect(position({ bottom: 420, left: 980, right: 1000, top: 400 }, wide, boundary))
+      .toMatchObject({ arrow: 194, left: 796 });
+  });
+  test('should keep the arrow on the popup when the anchor is outside the boundary', () => {
+    expect(position({ bottom: 420, left: 1100, right: 1120, top: 400 }, popup, boundary))
+      .toMatchObject({ arrow: 96, left: 896 });
+    expect(position({ bottom: 420, left: -120, right: -100, top: 400 }, popup, boundary))
+      .toMatchObject({ arrow: 4, left: 4 });
+  });
+});
+
+describe('Tooltip element', () => {
+  test('should add the handlers and aria-describedby to a wrapped child', () => {
+    const onFocus = jest.fn();
+    const tooltip = mount(
+      <Tooltip content={<p>Please enter your email address.</p>} id="email-tip">
+        <input aria-describedby="email-hint" id="email" onFocus={onFocus} type="email" />
+      </Tooltip>,
+      { attachTo: document.body.appendChild(document.createElement('div')) }
+    );
+
+    expect(tooltip.find('input#email').prop('aria-describedby')).toBe('email-hint email-tip');
+    tooltip.find('input#email').simulate('focus');
+    expect(onFocus).toHaveBeenCalled();
+    expect(tooltip.find('[role="tooltip"]').prop('aria-expanded')).toBe(true);
+    expect(tooltip.find('[role="tooltip"]').text()).toBe('Please enter your email address.');
+
+    tooltip.unmount();
+  });
+  test('should describe the element of a ref rendered after the tooltip', () => {
+    const ref = React.createRef();
+    const wrapper = mount(
+      <div>
+        <Tooltip id="name-tip" target={ref}>Your full name</Tooltip>
+        <input id="name" ref={ref} type="text" />
+      </div>,
+      { attachTo: document.body.appendChild(document.createElement('div')) }
+    );
+
+    /* the ref is set after the tooltip mounts, so it is read again after the render */
+    return new Promise(resolve => setTimeout(resolve, 0)).then(() => {
+      expect(document.getElementById('name').getAttribute('aria-describedby')).toBe('name-tip');
+      wrapper.unmount();
+    });
+  });
+  test('should read a ref that is not set a limited number of times', () => {
+    jest.useFakeTimers();
+    const ref = React.createRef();
+    const tooltip = mount(<Tooltip id="late-tip" target={ref}>Later</Tooltip>);
+
+    expect(jest.getTimerCount()).toBe(1);
+    jest.runAllTimers();
+    expect(jest.getTimerCount()).toBe(0);
+
+    tooltip.unmount();
+    jest.useRealTimers();
+  });
+  test('should read a ref that is set later when the tooltip updates', () => {
+    jest.useFakeTimers();
+    const ref = React.createRef();
+    const tooltip = mount(<Tooltip id="late-tip" target={ref}>Later</Tooltip>);
+    jest.runAllTimers();
+
+    const input = document.body.appendChild(document.createElement('input'));
+    ref.current = input;
+    tooltip.setProps({ children: 'Later still' });
+    expect(input.getAttribute('aria-describedby')).toBe('late-tip');
+
+    tooltip.unmount();
+    document.body.removeChild(input);
+    jest.useRealTimers();
+  });
+  test('should move to another element when bind changes', () => {
+    const first = document.body.appendChild(document.createElement('input'));
+    const second = document.body.appendChild(document.createElement('input'));
+    first.id = 'first';
+    second.id = 'second';
+
+    const tooltip = mount(<Tooltip bind="first" id="move-tip">Moves</Tooltip>);
+    expect(first.getAttribute('aria-describedby')).toBe('move-tip');
+
+    tooltip.setProps({ bind: 'second' });
+    expect(first.getAttribute('aria-describedby')).toBeNull();
+    expect(second.getAttribute('aria-describedby')).toBe('move-tip');
+
+    second.dispatchEvent(new Event('focus'));
+    tooltip.update();
+    expect(tooltip.find('[role="tooltip"]').prop('aria-expanded')).toBe(true);
+
+    tooltip.unmount();
+    document.body.removeChild(first);
+    document.body.removeChild(second);
+  });
+});
+
+describe('Toggletip', () => {
+  let onOpenChange;
+  let outside;
+  let toggletip;
+
+  beforeEach(() => {
+    onOpenChange = jest.fn();
+    outside = document.body.appendChild(document.createElement('button'));
+    toggletip = mount(
+      <Tooltip icon="?" id="shipping-tip" label="About shipping" onOpenChange={onOpenChange}>
+        <p>Orders ship within two business days. <a href="/shipping" id="rates">Shipping rates</a></p>
+      </Tooltip>,
+      { attachTo: document.body.appendChild(document.createElement('div')) }
+    );
+  });
+  afterEach(() => {
+    toggletip.unmount();
+    document.body.removeChild(outside);
+  });
+
+  const button = () => toggletip.find('button#shipping-tip-toggletip-controller');
+  const expanded = () => {
+    toggletip.update();
+    return toggletip.find('[role="status"]').prop('aria-expanded');
+  };
+
+  test('should render the open button with the icon and label', () => {
+    expect(button().text()).toBe('?');
+    expect(button().prop('aria-label')).toBe('About shipping');
+    expect(button().prop('aria-controls')).toBe('shipping-tip');
+  });
+  test('should open and close on the button and call onOpenChange', () => {
+    button().simulate('click');
+    expect(expanded()).toBe(true);
+    expect(toggletip.find('a#rates').length).toBe(1);
+    expect(onOpenChange).toHaveBeenLastCalledWith(true, toggletip.instance());
+
+    button().simulate('click');
+    expect(expanded()).toBe(false);
+    expect(onOpenChange).toHaveBeenLastCalledWith(false, toggletip.instance());
+  });
+  test('should stay open on a click inside and close on a click outside', () => {
+    /* a click that reaches the document, so the click that opens the toggletip does not close it */
+    document.getElementById('shipping-tip-toggletip-controller').click();
+    expect(expanded()).toBe(true);
+    document.getElementById('rates').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    expect(expanded()).toBe(true);
+
+    outside.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    expect(expanded()).toBe(false);
+    expect(onOpenChange).toHaveBeenCalledTimes(2);
+  });
+  test('should close when focus moves outside', () => {
+    button().simulate('click');
+    document.getElementById('rates').focus();
+    expect(expanded()).toBe(true);
+
+    outside.focus();
+    expect(expanded()).toBe(false);
+  });
+  test('should return focus to the button on Escape', () => {
+    button().simulate('click');
+    document.getElementById('rates').focus();
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(expanded()).toBe(false);
+    expect(document.activeElement.id).toBe('shipping-tip-toggletip-controller');
+  });
+});
+
+describe('Toggletip trigger', () => {
+  test('should be opened by a custom trigger that keeps its name', () => {
+    const toggletip = mount(
+      <Tooltip content={<p>Orders ship within two business days.</p>} id="ship-tip" label="About shipping">
+        <button id="ship" type="button">Shipping</button>
+      </Tooltip>,
+      { attachTo: document.body.appendChild(document.createElement('div')) }
+    );
+
+    expect(toggletip.find('button#ship').prop('aria-label')).toBeUndefined();
+    toggletip.find('button#ship').simulate('click');
+    expect(toggletip.find('button#ship').prop('aria-expanded')).toBe(true);
+    expect(toggletip.find('[role="status"]').text()).toBe('Orders ship within two business days.');
+
+    toggletip.unmount();
+  });
+});
@@ -0,0 +1,21 @@
+/**
+ * @author H Robert King <hrobertking@cathmhaol.com>
+ * @description Returns the text content of a React node, e.g., the label of a step or a crumb that
+ * is given as an element. Booleans, `null`, and `undefined` have no text, and the text of an
+ * element is the text of its children.
+ *
+ * @returns {string}
+ * @param {*} node
+ */
+export default function text(node) {
+  if (node === null || typeof node === 'undefined' || typeof node === 'boolean') {
+    return '';
+  }
+  if (typeof node === 'string' || typeof node === 'number') {
+    return String(node);
+  }
+  if (Array.isArray(node)) {
+    return node.map(text).join('');
+  }
+  return node.props ? text(node.props.children) : '';
+}